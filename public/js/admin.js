@@ -8,6 +8,33 @@
   const backupMessageEl = document.getElementById('backup-message');
   const pricingFormEl = document.getElementById('pricing-form');
   const pricingMessageEl = document.getElementById('pricing-message');
+  const capacityFormEl = document.getElementById('capacity-form');
+  const capacityCampTypeRowsEl = document.getElementById('capacity-camp-type-rows');
+  const capacityDayRowsEl = document.getElementById('capacity-day-rows');
+  const capacityMessageEl = document.getElementById('capacity-message');
+  const waitlistMetaEl = document.getElementById('waitlist-meta');
+  const waitlistRowsEl = document.getElementById('waitlist-rows');
+  const cancellationPolicyFormEl = document.getElementById('cancellation-policy-form');
+  const cancellationPolicyRowsEl = document.getElementById('cancellation-policy-rows');
+  const cancellationPolicyAfterEl = document.getElementById('cancellation-policy-after');
+  const cancellationPolicyMetaEl = document.getElementById('cancellation-policy-meta');
+  const cancellationPolicyMessageEl = document.getElementById('cancellation-policy-message');
+  const addCancellationTierBtn = document.getElementById('add-cancellation-tier-btn');
+  const promoCodeFormEl = document.getElementById('promo-code-form');
+  const promoCodeIdEl = document.getElementById('promo-code-id');
+  const promoCodeCodeEl = document.getElementById('promo-code-code');
+  const promoCodeDescriptionEl = document.getElementById('promo-code-description');
+  const promoCodeDiscountTypeEl = document.getElementById('promo-code-discount-type');
+  const promoCodeDiscountValueEl = document.getElementById('promo-code-discount-value');
+  const promoCodeValidFromEl = document.getElementById('promo-code-valid-from');
+  const promoCodeValidUntilEl = document.getElementById('promo-code-valid-until');
+  const promoCodeMaxUsesEl = document.getElementById('promo-code-max-uses');
+  const promoCodeCampTypesEl = document.getElementById('promo-code-camp-types');
+  const promoCodeEmailAllowlistEl = document.getElementById('promo-code-email-allowlist');
+  const promoCodeActiveEl = document.getElementById('promo-code-active');
+  const promoCodeMessageEl = document.getElementById('promo-code-message');
+  const promoCodeRowsEl = document.getElementById('promo-code-rows');
+  const resetPromoCodeBtn = document.getElementById('reset-promo-code-btn');
   const passwordFormEl = document.getElementById('admin-password-form');
   const passwordMessageEl = document.getElementById('password-message');
   const savePasswordBtn = document.getElementById('save-password-btn');
@@ -29,6 +56,30 @@
   const invoiceSearchEl = document.getElementById('invoice-search');
   const invoiceTypeFilterEl = document.getElementById('invoice-type-filter');
   const invoiceSearchMetaEl = document.getElementById('invoice-search-meta');
+  const refundRowsEl = document.getElementById('refund-rows');
+  const disputeRowsEl = document.getElementById('dispute-rows');
+  const stripeEventRowsEl = document.getElementById('stripe-event-rows');
+  const stripeEventMetaEl = document.getElementById('stripe-event-meta');
+  const stripeReconciliationMetaEl = document.getElementById('stripe-reconciliation-meta');
+  const stripeReconciliationMessageEl = document.getElementById('stripe-reconciliation-message');
+  const stripeReconciliationRunRowsEl = document.getElementById('stripe-reconciliation-run-rows');
+  const stripeReconciliationItemRowsEl = document.getElementById('stripe-reconciliation-item-rows');
+  const runStripeReconciliationBtn = document.getElementById('run-stripe-reconciliation-btn');
+  const invoiceRetryMetaEl = document.getElementById('invoice-retry-meta');
+  const invoiceRetryMessageEl = document.getElementById('invoice-retry-message');
+  const invoiceRetryRowsEl = document.getElementById('invoice-retry-rows');
+  const runInvoiceRetriesBtn = document.getElementById('run-invoice-retries-btn');
+  const invoiceReconciliationBtn = document.getElementById('invoice-reconciliation-btn');
+  const invoiceReconciliationExportBtn = document.getElementById('invoice-reconciliation-export-btn');
+  const invoiceReconciliationIssuesOnlyEl = document.getElementById('invoice-reconciliation-issues-only');
+  const invoiceReconciliationMetaEl = document.getElementById('invoice-reconciliation-meta');
+  const invoiceReconciliationRowsEl = document.getElementById('invoice-reconciliation-rows');
+  const bankTransactionRowsEl = document.getElementById('bank-transaction-rows');
+  const bankTransactionMetaEl = document.getElementById('bank-transaction-meta');
+  const bankStatementFileEl = document.getElementById('bank-statement-file');
+  const bankStatementMessageEl = document.getElementById('bank-statement-message');
+  const importBankStatementBtn = document.getElementById('import-bank-statement-btn');
+  const confirmAllBankTransactionsBtn = document.getElementById('confirm-all-bank-transactions-btn');
   const registrationSearchEl = document.getElementById('registration-search');
   const registrationStatusFilterEl = document.getElementById('registration-status-filter');
   const registrationSearchMetaEl = document.getElementById('registration-search-meta');
@@ -40,6 +91,26 @@
   const sendAllCateringInvitesBtn = document.getElementById('send-all-catering-invites-btn');
   const exportCateringCsvBtn = document.getElementById('export-catering-csv-btn');
   const sayonaraOrderRowsEl = document.getElementById('sayonara-order-rows');
+  const registrationGroupRowsEl = document.getElementById('registration-group-rows');
+  const duplicateRowsEl = document.getElementById('duplicate-rows');
+  const duplicateMessageEl = document.getElementById('duplicate-message');
+  const examSessionFormEl = document.getElementById('exam-session-form');
+  const examSessionIdEl = document.getElementById('exam-session-id');
+  const examSessionDisciplineEl = document.getElementById('exam-session-discipline');
+  const examSessionDateEl = document.getElementById('exam-session-date');
+  const examSessionStartTimeEl = document.getElementById('exam-session-start-time');
+  const examSessionLocationEl = document.getElementById('exam-session-location');
+  const examSessionTargetGradesEl = document.getElementById('exam-session-target-grades');
+  const examSessionNotesEl = document.getElementById('exam-session-notes');
+  const resetExamSessionBtn = document.getElementById('reset-exam-session-btn');
+  const exportExamResultsBtn = document.getElementById('export-exam-results-btn');
+  const examMessageEl = document.getElementById('exam-message');
+  const examUnassignedMetaEl = document.getElementById('exam-unassigned-meta');
+  const examSessionListEl = document.getElementById('exam-session-list');
+  const certificateMetaEl = document.getElementById('certificate-meta');
+  const certificateRowsEl = document.getElementById('certificate-rows');
+  const sendCertificatesBtn = document.getElementById('send-certificates-btn');
+  const certificateMessageEl = document.getElementById('certificate-message');
   const sayonaraOrderSearchEl = document.getElementById('sayonara-order-search');
   const sayonaraOrderStatusFilterEl = document.getElementById('sayonara-order-status-filter');
   const sayonaraOrderSearchMetaEl = document.getElementById('sayonara-order-search-meta');
@@ -53,6 +124,10 @@
   const examModalIaidoGradeEl = document.getElementById('exam-modal-iaido-grade');
   const examModalJodoEnabledEl = document.getElementById('exam-modal-jodo-enabled');
   const examModalJodoGradeEl = document.getElementById('exam-modal-jodo-grade');
+  const examModalIaidoGradeDateEl = document.getElementById('exam-modal-iaido-grade-date');
+  const examModalJodoGradeDateEl = document.getElementById('exam-modal-jodo-grade-date');
+  const examModalFederationEl = document.getElementById('exam-modal-federation');
+  const examModalMembershipIdEl = document.getElementById('exam-modal-membership-id');
   const examModalMessageEl = document.getElementById('exam-modal-message');
   const examModalCloseBtn = document.getElementById('exam-modal-close-btn');
   const examModalCancelBtn = document.getElementById('exam-modal-cancel-btn');
@@ -65,6 +140,27 @@
   const emailModalCloseBtn = document.getElementById('email-modal-close-btn');
   const emailModalCancelBtn = document.getElementById('email-modal-cancel-btn');
   const emailModalSaveBtn = document.getElementById('email-modal-save-btn');
+  const transferModalEl = document.getElementById('transfer-modal');
+  const transferModalFormEl = document.getElementById('transfer-modal-form');
+  const transferModalRegistrationMetaEl = document.getElementById('transfer-modal-registration-meta');
+  const transferModalFullNameEl = document.getElementById('transfer-modal-full-name');
+  const transferModalEmailEl = document.getElementById('transfer-modal-email');
+  const transferModalPhoneEl = document.getElementById('transfer-modal-phone');
+  const transferModalDateOfBirthEl = document.getElementById('transfer-modal-date-of-birth');
+  const transferModalCityEl = document.getElementById('transfer-modal-city');
+  const transferModalCurrentGradeIaidoEl = document.getElementById('transfer-modal-current-grade-iaido');
+  const transferModalCurrentGradeJodoEl = document.getElementById('transfer-modal-current-grade-jodo');
+  const transferModalIaidoEnabledEl = document.getElementById('transfer-modal-iaido-enabled');
+  const transferModalIaidoGradeEl = document.getElementById('transfer-modal-iaido-grade');
+  const transferModalJodoEnabledEl = document.getElementById('transfer-modal-jodo-enabled');
+  const transferModalJodoGradeEl = document.getElementById('transfer-modal-jodo-grade');
+  const transferModalFoodNotesEl = document.getElementById('transfer-modal-food-notes');
+  const transferModalNoteEl = document.getElementById('transfer-modal-note');
+  const transferModalConsentEl = document.getElementById('transfer-modal-consent');
+  const transferModalMessageEl = document.getElementById('transfer-modal-message');
+  const transferModalCloseBtn = document.getElementById('transfer-modal-close-btn');
+  const transferModalCancelBtn = document.getElementById('transfer-modal-cancel-btn');
+  const transferModalSaveBtn = document.getElementById('transfer-modal-save-btn');
   const sayonaraPackagesModalEl = document.getElementById('sayonara-packages-modal');
   const sayonaraPackagesModalFormEl = document.getElementById('sayonara-packages-modal-form');
   const sayonaraPackagesModalRegistrationMetaEl = document.getElementById('sayonara-packages-modal-registration-meta');
@@ -76,8 +172,18 @@
   const sayonaraPackagesModalSaveBtn = document.getElementById('sayonara-packages-modal-save-btn');
   let allRegistrations = [];
   let allInvoices = [];
+  let allRefunds = [];
+  let allDisputes = [];
+  let failedStripeEvents = [];
+  let stripeReconciliationRuns = [];
+  let invoiceRetryJobs = [];
+  let allPromoCodes = [];
+  let openBankTransactions = [];
   let allCateringOrders = [];
   let allSayonaraOrders = [];
+  let allRegistrationGroups = [];
+  let duplicatePairs = [];
+  let examSessions = [];
   let emailTemplates = [];
   let emailCapabilities = {
     provider: 'disabled',
@@ -88,9 +194,15 @@
   let emailJobPollTimer = null;
   let examModalRegistrationId = '';
   let emailModalRegistrationId = '';
+  let transferModalRegistrationId = '';
+  let transferModalRequestId = '';
   let sayonaraPackagesModalEntityType = '';
   let sayonaraPackagesModalEntityId = '';
 
+  const CANCELLABLE_STATUSES = new Set(['AWAITING_GUARDIAN_CONSENT', 'GUARDIAN_CONSENT_EXPIRED', 'PENDING_PAYMENT', 'CHECKOUT_EXPIRED', 'AWAITING_TRANSFER', 'PAID', 'PARTIALLY_REFUNDED', 'REFUNDED', 'WAITLISTED', 'WAITLIST_EXPIRED']);
+  const TRANSFERABLE_STATUSES = new Set(['PAID', 'PARTIALLY_REFUNDED', 'AWAITING_TRANSFER']);
+  const SETTLED_STATUSES = new Set(['PAID', 'PARTIALLY_REFUNDED']);
+  const UNPAID_CHECKOUT_STATUSES = new Set(['PENDING_PAYMENT', 'CHECKOUT_EXPIRED']);
   const examGradeOptions = ['', '6. kyu', '5. kyu', '4. kyu', '3. kyu', '2. kyu', '1. kyu', '1. dan', '2. dan', '3. dan', '4. dan', '5. dan', '6. dan', '7. dan', '8. dan'];
 
   const labels = {
@@ -134,6 +246,7 @@
 
   function renderStats(stats) {
     const projectedRevenue = Number(stats.projectedRevenueEur || 0);
+    const refundedRevenue = Number(stats.refundedRevenueEur || 0);
     const lunchRegistrantCount = Number(stats.lunchRegistrantCount || 0);
     const totalLunchSelections = Number(stats.totalLunchSelections || 0);
     const handbookDownloadCount = Number(stats.handbookDownloadCount || 0);
@@ -147,10 +260,20 @@
       renderStatCard('Iaido applicants', stats.iaidoApplicants || 0),
       renderStatCard('Jodo applicants', stats.jodoApplicants || 0),
       renderStatCard('Deleted status', stats.deletedCount || 0),
+      renderStatCard('Waiting list', stats.waitlistedCount || 0),
+      renderStatCard('Cancelled', stats.cancelledCount || 0),
       renderStatCard('Anonymized', stats.anonymizedCount || 0),
+      renderStatCard('Awaiting bank transfer', stats.awaitingTransfer || 0),
+      renderStatCard('Awaiting parental consent', stats.awaitingGuardianConsent || 0),
+      renderStatCard('Refunded', stats.refundedCount || 0),
+      renderStatCard('Partially refunded', stats.partiallyRefundedCount || 0),
+      renderStatCard('Disputed', stats.disputedCount || 0),
+      renderStatCard('Dispute lost', stats.disputeLostCount || 0),
       renderStatCard('Iaido exam applicants', stats.wantsExamIaido || 0),
       renderStatCard('Jodo exam applicants', stats.wantsExamJodo || 0),
-      renderStatCard('Projected revenue (EUR)', formatCurrency(projectedRevenue, 'EUR')),
+      renderStatCard('Flagged exam candidates', stats.examFlaggedCount || 0),
+      renderStatCard('Projected net revenue (EUR)', formatCurrency(projectedRevenue, 'EUR')),
+      renderStatCard('Refunded amount (EUR)', formatCurrency(refundedRevenue, 'EUR')),
       renderStatCard('Lunch registrants', lunchRegistrantCount),
       renderStatCard('Total lunch day selections', totalLunchSelections),
       renderStatCard('Handbook downloads', handbookDownloadCount),
@@ -205,6 +328,38 @@
     `;
   }
 
+  function renderInvoiceChain(chain) {
+    const steps = Array.isArray(chain) ? chain : [];
+    if (steps.length < 2) return '';
+    return steps
+      .map((step) => {
+        const label = step.documentType === 'STORNO' ? 'storno' : (step.status === 'STORNOED' ? 'cancelled' : 'current');
+        return `${escapeHtml(step.invoiceNumber || '-')} <span class="helper">(${label})</span>`;
+      })
+      .join(' &rarr; ');
+  }
+
+  function renderInvoiceStornoAttempts(stornos) {
+    const attempts = Array.isArray(stornos) ? stornos : [];
+    if (!attempts.length) return '';
+    return attempts
+      .map((storno) => `
+        <div style="margin-top:0.8rem;">
+          <div class="registration-details-grid">
+            ${renderDetailField('Storno of', storno.originalInvoiceNumber)}
+            ${renderDetailField('Storno invoice', storno.stornoInvoiceNumber || '-')}
+            ${renderDetailField('Storno status', storno.status)}
+            ${renderDetailField('Reason', storno.reason || '-')}
+            ${renderDetailField('Storno error', storno.errorMessage || '-')}
+            ${renderDetailField('Storno created at', formatDateTime(storno.createdAt))}
+          </div>
+          ${renderInvoiceXmlBlock('Storno request XML', storno.requestXml)}
+          ${renderInvoiceXmlBlock('Storno response', storno.rawResponse)}
+        </div>
+      `)
+      .join('');
+  }
+
   function boolToYesNo(value) {
     return value ? 'Yes' : 'No';
   }
@@ -231,6 +386,17 @@
     emailModalMessageEl.textContent = text;
   }
 
+  function setTransferModalMessage(type, text) {
+    if (!transferModalMessageEl) return;
+    if (!text) {
+      transferModalMessageEl.className = '';
+      transferModalMessageEl.textContent = '';
+      return;
+    }
+    transferModalMessageEl.className = `notice ${type}`;
+    transferModalMessageEl.textContent = text;
+  }
+
   function setSayonaraPackagesModalMessage(type, text) {
     if (!sayonaraPackagesModalMessageEl) return;
     if (!text) {
@@ -298,6 +464,18 @@
     if (examModalJodoGradeEl) {
       examModalJodoGradeEl.value = String(registration.targetGradeJodo || '');
     }
+    if (examModalIaidoGradeDateEl) {
+      examModalIaidoGradeDateEl.value = String(registration.currentGradeIaidoDate || '');
+    }
+    if (examModalJodoGradeDateEl) {
+      examModalJodoGradeDateEl.value = String(registration.currentGradeJodoDate || '');
+    }
+    if (examModalFederationEl) {
+      examModalFederationEl.value = String(registration.federationName || '');
+    }
+    if (examModalMembershipIdEl) {
+      examModalMembershipIdEl.value = String(registration.federationMembershipId || '');
+    }
     setExamModalMessage('', '');
     syncExamModalGradeState();
     if (examModalEl) {
@@ -334,6 +512,68 @@
     }
   }
 
+  function syncTransferModalGradeState() {
+    if (transferModalIaidoGradeEl) {
+      transferModalIaidoGradeEl.disabled = !transferModalIaidoEnabledEl?.checked;
+      if (transferModalIaidoGradeEl.disabled) {
+        transferModalIaidoGradeEl.value = '';
+      }
+    }
+    if (transferModalJodoGradeEl) {
+      transferModalJodoGradeEl.disabled = !transferModalJodoEnabledEl?.checked;
+      if (transferModalJodoGradeEl.disabled) {
+        transferModalJodoGradeEl.value = '';
+      }
+    }
+  }
+
+  function closeTransferModal() {
+    transferModalRegistrationId = '';
+    transferModalRequestId = '';
+    setTransferModalMessage('', '');
+    if (transferModalFormEl) {
+      transferModalFormEl.reset();
+    }
+    syncTransferModalGradeState();
+    if (transferModalEl) {
+      transferModalEl.hidden = true;
+    }
+  }
+
+  function openTransferModal(registration, transferRequest) {
+    const details = transferRequest?.details || {};
+    transferModalRegistrationId = registration.id;
+    transferModalRequestId = transferRequest ? transferRequest.id : '';
+    if (transferModalRegistrationMetaEl) {
+      transferModalRegistrationMetaEl.textContent = transferRequest
+        ? `${registration.fullName} (${registration.email}) requested this transfer on ${formatDateTime(transferRequest.createdAt)}${transferRequest.note ? `: ${transferRequest.note}` : '.'}`
+        : `${registration.fullName} (${registration.email})`;
+    }
+    if (transferModalFormEl) {
+      transferModalFormEl.reset();
+    }
+    if (transferModalFullNameEl) transferModalFullNameEl.value = String(details.fullName || '');
+    if (transferModalEmailEl) transferModalEmailEl.value = String(details.email || '');
+    if (transferModalPhoneEl) transferModalPhoneEl.value = String(details.phone || '');
+    if (transferModalDateOfBirthEl) transferModalDateOfBirthEl.value = String(details.dateOfBirth || '');
+    if (transferModalCityEl) transferModalCityEl.value = String(details.city || '');
+    if (transferModalCurrentGradeIaidoEl) transferModalCurrentGradeIaidoEl.value = String(details.currentGradeIaido || '');
+    if (transferModalCurrentGradeJodoEl) transferModalCurrentGradeJodoEl.value = String(details.currentGradeJodo || '');
+    if (transferModalIaidoEnabledEl) transferModalIaidoEnabledEl.checked = Boolean(details.wantsExamIaido);
+    if (transferModalIaidoGradeEl) transferModalIaidoGradeEl.value = String(details.targetGradeIaido || '');
+    if (transferModalJodoEnabledEl) transferModalJodoEnabledEl.checked = Boolean(details.wantsExamJodo);
+    if (transferModalJodoGradeEl) transferModalJodoGradeEl.value = String(details.targetGradeJodo || '');
+    if (transferModalFoodNotesEl) transferModalFoodNotesEl.value = String(details.foodNotes || '');
+    setTransferModalMessage('', '');
+    syncTransferModalGradeState();
+    if (transferModalEl) {
+      transferModalEl.hidden = false;
+    }
+    if (transferModalFullNameEl) {
+      transferModalFullNameEl.focus();
+    }
+  }
+
   function updateSayonaraPackagesModalTotal() {
     const order = findSayonaraOrder(sayonaraPackagesModalEntityType, sayonaraPackagesModalEntityId);
     if (!sayonaraPackagesModalTotalEl || !order) return;
@@ -390,7 +630,11 @@
       ? `Jodo exam: yes (${escapeHtml(item.targetGradeJodo || '-')})`
       : 'Jodo exam: no';
     const attendanceDay = `Attendance day: ${escapeHtml(formatOption('attendanceDay', item.attendanceDay || '-'))}`;
-    return `<span class="helper">${gradeIaido} | ${gradeJodo}<br />${examIaido} | ${examJodo}<br />${attendanceDay}</span>`;
+    const eligibilityIssues = Array.isArray(item.examEligibilityIssues) ? item.examEligibilityIssues : [];
+    const eligibility = eligibilityIssues.length > 0
+      ? `<br /><strong>Exam not eligible:</strong> ${eligibilityIssues.map((issue) => escapeHtml(issue)).join('<br />')}`
+      : '';
+    return `<span class="helper">${gradeIaido} | ${gradeJodo}<br />${examIaido} | ${examJodo}<br />${attendanceDay}${eligibility}</span>`;
   }
 
   function formatCateringDays(selection) {
@@ -418,7 +662,13 @@
         ${renderDetailField('Package', formatOption('campType', item.campType))}
         ${renderDetailField('Attendance day', formatOption('attendanceDay', item.attendanceDay))}
         ${renderDetailField('Amount', formatCurrency(Number(item.amount ?? item.amountHuf ?? 0), item.currency || 'EUR'))}
+        ${renderDetailField('Promo code', item.promoCode ? `${item.promoCode} (-${formatCurrency(Number(item.discountAmount || 0), item.currency || 'EUR')})` : '-')}
         ${renderDetailField('Currency', item.currency || 'EUR')}
+        ${renderDetailField('Payment method', item.paymentMethod === 'bank_transfer' ? 'Bank transfer' : 'Card')}
+        ${renderDetailField('Payment reference', item.paymentReference)}
+        ${renderDetailField('Waitlist offer sent', item.waitlistOfferedAt ? formatDateTime(item.waitlistOfferedAt) : '-')}
+        ${renderDetailField('Waitlist offer expires', item.waitlistOfferExpiresAt ? formatDateTime(item.waitlistOfferExpiresAt) : '-')}
+        ${renderDetailField('Proforma invoice', item.proforma ? (item.proforma.proformaNumber || `${item.proforma.status}: ${item.proforma.errorMessage || '-'}`) : '-')}
         ${renderDetailField('Lunch days', formatCateringDays(item.cateringSelection))}
         ${renderDetailField('Lunch day count', String(item.cateringDaysCount || 0))}
         ${renderDetailField('Lunch amount', formatCurrency(Number(item.cateringAmount || 0), item.currency || 'EUR'))}
@@ -436,23 +686,40 @@
         ${renderDetailField('Iaido exam', item.wantsExamIaido ? `Yes (${item.targetGradeIaido || '-'})` : 'No')}
         ${renderDetailField('Current Jodo grade', item.currentGradeJodo)}
         ${renderDetailField('Jodo exam', item.wantsExamJodo ? `Yes (${item.targetGradeJodo || '-'})` : 'No')}
+        ${renderDetailField('Iaido grade obtained', item.currentGradeIaidoDate || '-')}
+        ${renderDetailField('Jodo grade obtained', item.currentGradeJodoDate || '-')}
+        ${renderDetailField('National federation', item.federationName || '-')}
+        ${renderDetailField('Federation membership ID', item.federationMembershipId || '-')}
+        ${renderDetailField('Exam eligibility', Array.isArray(item.examEligibilityIssues) && item.examEligibilityIssues.length > 0 ? item.examEligibilityIssues.join(' ') : 'OK')}
 
         ${renderDetailField('Billing full name', item.billingFullName)}
         ${renderDetailField('Billing ZIP', item.billingZip)}
         ${renderDetailField('Billing city', item.billingCity)}
         ${renderDetailField('Billing address', item.billingAddress)}
         ${renderDetailField('Billing country', item.billingCountry)}
+        ${renderDetailField('Company name', item.billingCompanyName || '-')}
+        ${renderDetailField('VAT / tax number', item.billingVatId || '-')}
         ${renderDetailField('Stripe checkout session', item.stripeCheckoutSessionId)}
         ${renderDetailField('Stripe payment intent', item.stripePaymentIntentId)}
         ${renderDetailField('Stripe customer', item.stripeCustomerId)}
         ${renderDetailField('Stripe last event', item.stripeLastEventType)}
         ${renderDetailField('Stripe event at', item.stripeLastEventAt)}
+        ${renderDetailField('Last payment error', item.stripePaymentError ? `${item.stripePaymentError} (${formatDateTime(item.stripePaymentErrorAt)})` : '-')}
         ${renderDetailField('Paid at', item.paidAt)}
+        ${renderDetailField('Refunded amount', formatCurrency(Number(item.refundedAmount || 0), item.currency || 'EUR'))}
+        ${renderDetailField('Cancelled at', item.cancellation ? `${formatDateTime(item.cancellation.createdAt)} (${item.cancellation.requestedBy})` : '-')}
+        ${renderDetailField('Cancellation refund', item.cancellation ? `${formatCurrency(Number(item.cancellation.refundAmount || 0), item.cancellation.currency || 'EUR')} (${item.cancellation.refundPercent}%, ${item.cancellation.refundMethod})` : '-')}
+        ${renderDetailField('Cancellation storno', item.cancellation ? `${item.cancellation.stornoStatus}${item.cancellation.stornoError ? `: ${item.cancellation.stornoError}` : ''}` : '-')}
+        ${renderDetailField('Cancellation corrected invoice', item.cancellation ? `${item.cancellation.reissueStatus}${item.cancellation.reissueError ? `: ${item.cancellation.reissueError}` : ''}` : '-')}
 
         ${renderDetailField('Privacy consent', boolToYesNo(item.privacyConsent))}
         ${renderDetailField('Terms consent', boolToYesNo(item.termsConsent))}
         ${renderDetailField('Privacy consent at', item.privacyConsentAt)}
         ${renderDetailField('Terms consent at', item.termsConsentAt)}
+        ${renderDetailField('Parent / guardian', item.guardianFullName || '-')}
+        ${renderDetailField('Guardian email', item.guardianEmail || '-')}
+        ${renderDetailField('Guardian phone', item.guardianPhone || '-')}
+        ${renderDetailField('Guardian consent at', item.guardianConsentAt ? `${formatDateTime(item.guardianConsentAt)} (v${item.guardianConsentVersion})` : '-')}
       </div>
       <div class="registration-note-block">
         <div class="registration-detail-label">Note</div>
@@ -462,9 +729,31 @@
         <div class="registration-detail-label">Sayonara dietary note</div>
         <div class="registration-note-value">${escapeHtml(item.sayonaraFoodNotes || '-')}</div>
       </div>
+      <div class="registration-note-block">
+        <div class="registration-detail-label">Self-service changes</div>
+        <div class="registration-note-value">${buildChangeLogText(item.changeLog)}</div>
+      </div>
+      <div class="registration-note-block">
+        <div class="registration-detail-label">Transfers</div>
+        <div class="registration-note-value">${buildTransferLogText(item.transfers)}</div>
+      </div>
     `;
   }
 
+  function buildTransferLogText(transfers) {
+    if (!Array.isArray(transfers) || transfers.length === 0) return '-';
+    return transfers
+      .map((transfer) => `${escapeHtml(formatDateTime(transfer.completedAt || transfer.createdAt))} - ${escapeHtml(transfer.status)} (${escapeHtml(transfer.requestedBy)}): ${escapeHtml(transfer.fromFullName || '-')} &lt;${escapeHtml(transfer.fromEmail || '-')}&gt; &rarr; ${escapeHtml(transfer.toFullName || '-')} &lt;${escapeHtml(transfer.toEmail || '-')}&gt;${transfer.note ? ` - ${escapeHtml(transfer.note)}` : ''}`)
+      .join('<br />');
+  }
+
+  function buildChangeLogText(changeLog) {
+    if (!Array.isArray(changeLog) || changeLog.length === 0) return '-';
+    return changeLog
+      .map((change) => `${escapeHtml(formatDateTime(change.createdAt))} - ${escapeHtml(change.fieldLabel)} (${escapeHtml(change.changedBy)}): ${escapeHtml(change.oldValue || '-')} &rarr; ${escapeHtml(change.newValue || '-')}`)
+      .join('<br />');
+  }
+
   function renderRows(registrations, options = {}) {
     const hasFilter = Boolean(options.hasFilter);
     if (!registrations.length) {
@@ -483,7 +772,18 @@
         const isDeleted = normalizedStatus === 'DELETED';
         const isAnonymized = normalizedStatus === 'ANONYMIZED';
         const isPaid = normalizedStatus === 'PAID';
-        const isPendingPayment = normalizedStatus === 'PENDING_PAYMENT';
+        const isSettled = SETTLED_STATUSES.has(normalizedStatus);
+        const isUnpaidCheckout = UNPAID_CHECKOUT_STATUSES.has(normalizedStatus);
+        const isAwaitingTransfer = normalizedStatus === 'AWAITING_TRANSFER';
+        const isAwaitingGuardianConsent = normalizedStatus === 'AWAITING_GUARDIAN_CONSENT' || normalizedStatus === 'GUARDIAN_CONSENT_EXPIRED';
+        const isWaitlisted = normalizedStatus === 'WAITLISTED' || normalizedStatus === 'WAITLIST_EXPIRED';
+        const isRefunded = normalizedStatus === 'REFUNDED' || normalizedStatus === 'PARTIALLY_REFUNDED';
+        const isCancelled = normalizedStatus === 'CANCELLED';
+        const isGroupMember = Boolean(item.groupId);
+        const canRefund = !isGroupMember && (isSettled || (isCancelled && Boolean(item.paidAt)));
+        const canCancel = CANCELLABLE_STATUSES.has(normalizedStatus);
+        const canTransfer = TRANSFERABLE_STATUSES.has(normalizedStatus);
+        const pendingTransfer = (item.transfers || []).find((transfer) => transfer.status === 'REQUESTED');
         const hasMainLunchSelection = Number(item.cateringDaysCount || 0) > 0;
         const hasSeparateCateringOrder = Boolean(item.hasCateringOrder);
         const hasMainSayonaraSelection = Boolean(item.sayonaraAttending);
@@ -504,29 +804,50 @@
         const forceHardDeleteAction = canHardDelete
           ? `<button class="btn danger btn-small js-force-hard-delete" data-registration-id="${item.id}" type="button">Force hard delete</button>`
           : '<span class="helper">-</span>';
-        const stripeCheckAction = isPendingPayment
+        const stripeCheckAction = isUnpaidCheckout && !isGroupMember
           ? `<button class="btn secondary btn-small js-check-stripe-payment" data-registration-id="${item.id}" type="button">Check Stripe payment</button>`
           : '<span class="helper">-</span>';
-        const retryEmailAction = isDeleted || isAnonymized || isPaid
+        const transferPaidAction = isAwaitingTransfer
+          ? `<button class="btn secondary btn-small js-mark-transfer-paid" data-registration-id="${item.id}" type="button">Mark transfer received</button>`
+          : '<span class="helper">-</span>';
+        const proformaAction = isAwaitingTransfer && !(item.proforma && item.proforma.status === 'SUCCESS')
+          ? `<button class="btn secondary btn-small js-create-proforma" data-registration-id="${item.id}" type="button">Create proforma invoice</button>`
+          : '';
+        const retryEmailAction = isDeleted || isAnonymized || isPaid || isRefunded || isAwaitingTransfer || isAwaitingGuardianConsent || isWaitlisted || isCancelled || isGroupMember
           ? '<span class="helper">-</span>'
           : `<button class="btn secondary btn-small js-send-retry-email" data-registration-id="${item.id}" type="button">Send payment link email</button>`;
+        const guardianConsentAction = item.guardianEmail && !item.guardianConsentAt && (isAwaitingGuardianConsent || normalizedStatus === 'WAITLISTED')
+          ? `<button class="btn secondary btn-small js-send-guardian-consent" data-registration-id="${item.id}" type="button">Resend parental consent email</button>`
+          : '';
+        const refundAction = canRefund
+          ? `<button class="btn secondary btn-small js-refund-payment" data-entity-type="registration" data-entity-id="${item.id}" type="button">Refund</button>`
+          : '<span class="helper">-</span>';
         const emailEditAction = isDeleted || isAnonymized
           ? '<span class="helper">-</span>'
           : `<button class="btn secondary btn-small js-edit-email" data-registration-id="${item.id}" type="button">Update email</button>`;
+        const cancelAction = canCancel
+          ? `<button class="btn secondary btn-small js-cancel-registration" data-registration-id="${item.id}" type="button">Cancel registration</button>`
+          : '<span class="helper">-</span>';
+        const transferAction = canTransfer
+          ? `<button class="btn secondary btn-small js-transfer-registration" data-registration-id="${item.id}" type="button">${pendingTransfer ? 'Review transfer request' : 'Transfer registration'}</button>${pendingTransfer ? `<div style="height:0.35rem"></div><button class="btn secondary btn-small js-reject-transfer" data-transfer-id="${pendingTransfer.id}" type="button">Reject transfer request</button>` : ''}`
+          : '<span class="helper">-</span>';
+        const selfServiceLinkAction = isDeleted || isAnonymized
+          ? '<span class="helper">-</span>'
+          : `<button class="btn secondary btn-small js-send-self-service-link" data-registration-id="${item.id}" type="button">Send self-service link</button>`;
         const examEditAction = isDeleted || isAnonymized
           ? '<span class="helper">-</span>'
           : `<button class="btn secondary btn-small js-edit-exams" data-registration-id="${item.id}" type="button">Update exams</button>`;
-        const cateringInviteAction = isPaid && !hasMainLunchSelection && !hasSeparateCateringOrder
+        const cateringInviteAction = isSettled && !hasMainLunchSelection && !hasSeparateCateringOrder
           ? `<button class="btn secondary btn-small js-send-catering-invite" data-registration-id="${item.id}" type="button">Send lunch invite</button>`
           : '<span class="helper">-</span>';
-        const sayonaraInviteAction = isPaid && !hasMainSayonaraSelection && !hasSeparateSayonaraOrder
+        const sayonaraInviteAction = isSettled && !hasMainSayonaraSelection && !hasSeparateSayonaraOrder
           ? `<button class="btn secondary btn-small js-send-sayonara-invite" data-registration-id="${item.id}" type="button">Send Sayonara invite</button>`
           : '<span class="helper">-</span>';
-        const sayonaraGuestInviteAction = isPaid && !hasSayonaraGuestOrder && (hasMainSayonaraSelection || hasPaidSeparateSayonaraOrder)
+        const sayonaraGuestInviteAction = isSettled && !hasSayonaraGuestOrder && (hasMainSayonaraSelection || hasPaidSeparateSayonaraOrder)
           ? `<button class="btn secondary btn-small js-send-sayonara-guest-invite" data-registration-id="${item.id}" type="button">Send Sayonara +1 invite</button>`
           : '<span class="helper">-</span>';
         const detailsToggle = `<button class="btn secondary btn-small js-toggle-details" data-registration-id="${item.id}" aria-expanded="false" type="button">Show details</button>`;
-        const actionButtons = `${detailsToggle}<div style="height:0.35rem"></div>${stripeCheckAction}<div style="height:0.35rem"></div>${retryEmailAction}<div style="height:0.35rem"></div>${emailEditAction}<div style="height:0.35rem"></div>${examEditAction}<div style="height:0.35rem"></div>${cateringInviteAction}<div style="height:0.35rem"></div>${sayonaraInviteAction}<div style="height:0.35rem"></div>${sayonaraGuestInviteAction}<div style="height:0.35rem"></div>${deleteAction}<div style="height:0.35rem"></div>${anonymizeAction}<div style="height:0.35rem"></div>${hardDeleteAction}<div style="height:0.35rem"></div>${forceHardDeleteAction}`;
+        const actionButtons = `${detailsToggle}<div style="height:0.35rem"></div>${stripeCheckAction}<div style="height:0.35rem"></div>${transferPaidAction}${proformaAction ? `<div style="height:0.35rem"></div>${proformaAction}` : ''}<div style="height:0.35rem"></div>${retryEmailAction}${guardianConsentAction ? `<div style="height:0.35rem"></div>${guardianConsentAction}` : ''}<div style="height:0.35rem"></div>${refundAction}<div style="height:0.35rem"></div>${cancelAction}<div style="height:0.35rem"></div>${transferAction}<div style="height:0.35rem"></div>${emailEditAction}<div style="height:0.35rem"></div>${selfServiceLinkAction}<div style="height:0.35rem"></div>${examEditAction}<div style="height:0.35rem"></div>${cateringInviteAction}<div style="height:0.35rem"></div>${sayonaraInviteAction}<div style="height:0.35rem"></div>${sayonaraGuestInviteAction}<div style="height:0.35rem"></div>${deleteAction}<div style="height:0.35rem"></div>${anonymizeAction}<div style="height:0.35rem"></div>${hardDeleteAction}<div style="height:0.35rem"></div>${forceHardDeleteAction}`;
         const detailRow = `
           <tr class="registration-details-row" data-details-row="${item.id}" hidden>
             <td colspan="7">
@@ -541,8 +862,8 @@
             <td>${escapeHtml(item.fullName)}<br /><span class="helper">${escapeHtml(item.email)}</span></td>
             <td>${escapeHtml(camp)}</td>
             <td>${buildOptionsText(item)}</td>
-            <td>${formatCurrency(amount, item.currency || 'EUR')}</td>
-            <td>${escapeHtml(item.status)}</td>
+            <td>${formatCurrency(amount, item.currency || 'EUR')}${renderRefundedAmountNote(item)}</td>
+            <td>${escapeHtml(item.status)}${renderPaymentErrorNote(item)}${isGroupMember ? '<br /><span class="helper">Paid with group</span>' : ''}${pendingTransfer ? `<br /><span class="helper">Transfer requested to ${escapeHtml(pendingTransfer.toFullName)}</span>` : ''}</td>
             <td>${actionButtons}</td>
           </tr>
           ${detailRow}
@@ -551,236 +872,820 @@
       .join('');
   }
 
-  function updateInvoiceSearchMeta(visibleCount, totalCount, query, typeFilter) {
-    if (!invoiceSearchMetaEl) return;
-    if (!query && !typeFilter) {
-      invoiceSearchMetaEl.textContent = `Showing ${totalCount} invoice records.`;
-      return;
-    }
+  function renderRefundedAmountNote(item) {
+    const refundedAmount = Number(item.refundedAmount || 0);
+    if (refundedAmount <= 0) return '';
+    return `<br /><span class="helper">Refunded: ${formatCurrency(refundedAmount, item.currency || 'EUR')}</span>`;
+  }
 
-    const parts = [];
-    if (query) parts.push(`query "${query}"`);
-    if (typeFilter) parts.push(`type "${typeFilter}"`);
-    invoiceSearchMetaEl.textContent = `Showing ${visibleCount} of ${totalCount} invoice records for ${parts.join(' and ')}.`;
+  function renderPaymentErrorNote(item) {
+    if (!item.stripePaymentError || String(item.status || '').trim().toUpperCase() !== 'PENDING_PAYMENT') return '';
+    return `<br /><span class="helper">Card payment failed ${escapeHtml(formatDateTime(item.stripePaymentErrorAt))}: ${escapeHtml(item.stripePaymentError)}</span>`;
   }
 
-  function renderInvoiceRows(invoices, options = {}) {
-    if (!invoiceRowsEl) return;
-    const hasFilter = Boolean(options.hasFilter);
+  function formatEntityTypeLabel(entityType) {
+    if (entityType === 'catering_order') return 'Catering';
+    if (entityType === 'sayonara_order') return 'Sayonara';
+    if (entityType === 'sayonara_guest_order') return 'Sayonara +1';
+    if (entityType === 'registration_group') return 'Group';
+    if (entityType === 'exam_fee_order') return 'Exam fee';
+    return 'Registration';
+  }
 
-    if (!invoices.length) {
-      invoiceRowsEl.innerHTML = hasFilter
-        ? '<tr><td colspan="8">No matching invoice records.</td></tr>'
-        : '<tr><td colspan="8">No invoice records yet.</td></tr>';
+  function renderRefundRows(refunds) {
+    if (!refundRowsEl) return;
+    if (!refunds.length) {
+      refundRowsEl.innerHTML = '<tr><td colspan="7">No refunds yet.</td></tr>';
       return;
     }
 
-    invoiceRowsEl.innerHTML = invoices
-      .slice()
+    refundRowsEl.innerHTML = refunds
       .map((item) => {
-        const invoiceId = String(item.id || '');
-        const status = String(item.status || '-');
-        const entityType = String(item.entityType || 'registration').trim();
-        const entityLabel = entityType === 'catering_order'
-          ? 'Catering'
-          : (entityType === 'sayonara_order'
-            ? 'Sayonara'
-            : (entityType === 'sayonara_guest_order' ? 'Sayonara +1' : 'Registration'));
-        const registrationId = String(item.registrationId || '');
         const person = String(item.registrationFullName || '').trim();
         const email = String(item.registrationEmail || '').trim();
-        const identity = person || email ? `${escapeHtml(person)}<br /><span class="helper">${escapeHtml(email)}</span>` : '-';
-        const errorText = String(item.errorMessage || item.errorCode || '').trim();
-        const detailsToggle = `<button class="btn secondary btn-small js-toggle-invoice-details" data-invoice-id="${invoiceId}" aria-expanded="false" type="button">Show response</button>`;
-
-        const detailRow = `
-          <tr class="invoice-details-row" data-invoice-details-row="${invoiceId}" hidden>
-            <td colspan="8">
-              <div class="registration-details-grid">
-                ${renderDetailField('Record ID', item.id)}
-                ${renderDetailField('Type', entityLabel)}
-                ${renderDetailField('Entity ID', item.entityId || '-')}
-                ${renderDetailField('Registration ID', item.registrationId)}
-                ${renderDetailField('Invoice number', item.invoiceNumber)}
-                ${renderDetailField('Status', status)}
-                ${renderDetailField('Provider', item.provider)}
-                ${renderDetailField('Trigger source', item.triggerSource)}
-                ${renderDetailField('External ID', item.externalId)}
-                ${renderDetailField('Gross amount', formatCurrency(Number(item.grossAmount || 0), item.currency || 'EUR'))}
-                ${renderDetailField('Net amount', formatCurrency(Number(item.netAmount || 0), item.currency || 'EUR'))}
-                ${renderDetailField('Error code', item.errorCode || '-')}
-                ${renderDetailField('Error message', errorText || '-')}
-                ${renderDetailField('Created at', formatDateTime(item.createdAt))}
-                ${renderDetailField('Updated at', formatDateTime(item.updatedAt))}
-              </div>
-              ${renderInvoiceXmlBlock('Request XML', item.requestXml)}
-              ${renderInvoiceXmlBlock('Raw response', item.rawResponse)}
-            </td>
-          </tr>
-        `;
-
         return `
           <tr>
-            <td>${formatDateTime(item.updatedAt)}</td>
-            <td>${escapeHtml(entityLabel)}</td>
-            <td>${escapeHtml(registrationId)}<br />${identity}</td>
-            <td>${escapeHtml(item.invoiceNumber || '-')}</td>
-            <td>${escapeHtml(status)}</td>
-            <td>${escapeHtml(item.triggerSource || '-')}</td>
-            <td>${escapeHtml(errorText || '-')}</td>
-            <td>${detailsToggle}</td>
+            <td>${formatDateTime(item.createdAt)}</td>
+            <td>${escapeHtml(formatEntityTypeLabel(item.entityType))}<br /><span class="helper">${escapeHtml(item.entityId)}</span></td>
+            <td>${escapeHtml(person || '-')}<br /><span class="helper">${escapeHtml(email || '-')}</span></td>
+            <td>${formatCurrency(Number(item.amount || 0), item.currency || 'EUR')}</td>
+            <td>${escapeHtml(item.status || '-')}</td>
+            <td>${escapeHtml(item.reason || '-')}${item.note ? `<br /><span class="helper">${escapeHtml(item.note)}</span>` : ''}</td>
+            <td><span class="helper">${escapeHtml(item.stripeRefundId || '-')}</span></td>
           </tr>
-          ${detailRow}
         `;
       })
       .join('');
   }
 
-  function filterInvoices() {
-    const query = String(invoiceSearchEl?.value || '').trim();
-    const normalized = query.toLowerCase();
-    const typeFilter = String(invoiceTypeFilterEl?.value || '').trim();
-
-    const filtered = allInvoices.filter((item) => {
-        const matchesType = !typeFilter || String(item.entityType || '').trim() === typeFilter;
-        const fields = [
-          item.entityType,
-          item.entityId,
-          item.registrationId,
-          item.registrationFullName,
-          item.registrationEmail,
-          item.invoiceNumber,
-          item.status,
-          item.triggerSource,
-          item.errorCode,
-          item.errorMessage
-        ];
-        const matchesQuery = !normalized || fields.some((value) => String(value || '').toLowerCase().includes(normalized));
-        return matchesType && matchesQuery;
-      });
-
-    renderInvoiceRows(filtered, { hasFilter: normalized.length > 0 || Boolean(typeFilter) });
-    updateInvoiceSearchMeta(filtered.length, allInvoices.length, query, typeFilter);
-  }
-
-  function updateSearchMeta(visibleCount, totalCount, query, statusFilter) {
-    if (!registrationSearchMetaEl) return;
-    if (!query && !statusFilter) {
-      registrationSearchMetaEl.textContent = `Showing ${totalCount} registrations.`;
+  function renderDisputeRows(disputes) {
+    if (!disputeRowsEl) return;
+    if (!disputes.length) {
+      disputeRowsEl.innerHTML = '<tr><td colspan="7">No disputes.</td></tr>';
       return;
     }
 
-    const parts = [];
-    if (query) parts.push(`query "${query}"`);
-    if (statusFilter) parts.push(`status "${statusFilter}"`);
-    registrationSearchMetaEl.textContent = `Showing ${visibleCount} of ${totalCount} registrations for ${parts.join(' and ')}.`;
+    disputeRowsEl.innerHTML = disputes
+      .map((item) => {
+        const person = String(item.registrationFullName || '').trim();
+        const email = String(item.registrationEmail || '').trim();
+        const entityCell = item.entityType
+          ? `${escapeHtml(formatEntityTypeLabel(item.entityType))}<br /><span class="helper">${escapeHtml(item.entityId)}</span>`
+          : '<span class="helper">Unmatched payment</span>';
+        return `
+          <tr>
+            <td>${formatDateTime(item.createdAt)}</td>
+            <td>${entityCell}</td>
+            <td>${escapeHtml(person || '-')}<br /><span class="helper">${escapeHtml(email || '-')}</span></td>
+            <td>${formatCurrency(Number(item.amount || 0), item.currency || 'EUR')}</td>
+            <td>${escapeHtml(item.status || '-')}<br /><span class="helper">${escapeHtml(item.reason || '-')}</span></td>
+            <td>${item.evidenceDueBy ? formatDateTime(item.evidenceDueBy) : '-'}</td>
+            <td><span class="helper">${escapeHtml(item.stripeDisputeId || '-')}</span></td>
+          </tr>
+        `;
+      })
+      .join('');
   }
 
-  function filterRegistrations() {
-    const query = String(registrationSearchEl?.value || '').trim();
-    const normalized = query.toLowerCase();
-    const statusFilter = String(registrationStatusFilterEl?.value || '').trim();
-
-    const filtered = allRegistrations.filter((item) => {
-      const fullName = String(item.fullName || '').toLowerCase();
-      const email = String(item.email || '').toLowerCase();
-      const status = String(item.status || '').trim();
-      const matchesQuery = !normalized || fullName.includes(normalized) || email.includes(normalized);
-      const matchesStatus = !statusFilter || status === statusFilter;
-      return matchesQuery && matchesStatus;
-    });
+  function renderStripeEventRows(events, counts) {
+    if (stripeEventMetaEl) {
+      const safeCounts = counts && typeof counts === 'object' ? counts : {};
+      stripeEventMetaEl.textContent = `Processed: ${Number(safeCounts.PROCESSED || 0)} | Ignored: ${Number(safeCounts.IGNORED || 0)} | In progress: ${Number(safeCounts.RECEIVED || 0)} | Failed: ${Number(safeCounts.FAILED || 0)}`;
+    }
+    if (!stripeEventRowsEl) return;
+    if (!events.length) {
+      stripeEventRowsEl.innerHTML = '<tr><td colspan="6">No failed webhook events.</td></tr>';
+      return;
+    }
 
-    renderRows(filtered, { hasFilter: normalized.length > 0 || Boolean(statusFilter) });
-    updateSearchMeta(filtered.length, allRegistrations.length, query, statusFilter);
+    stripeEventRowsEl.innerHTML = events
+      .map((item) => `
+        <tr>
+          <td>${formatDateTime(item.receivedAt)}</td>
+          <td>${escapeHtml(item.eventType || '-')}<br /><span class="helper">${escapeHtml(item.id)}</span></td>
+          <td><span class="helper">${escapeHtml(item.objectId || '-')}</span></td>
+          <td>${Number(item.attempts || 0)}</td>
+          <td><span class="helper">${escapeHtml(item.errorMessage || '-')}</span></td>
+          <td><button class="btn secondary btn-small js-replay-stripe-event" data-event-id="${escapeHtml(item.id)}" type="button">Replay</button></td>
+        </tr>
+      `)
+      .join('');
   }
 
-  function updateCateringOrderSearchMeta(visibleCount, totalCount, query, statusFilter) {
-    if (!cateringOrderSearchMetaEl) return;
-    if (!query && !statusFilter) {
-      cateringOrderSearchMetaEl.textContent = `Showing ${totalCount} catering orders.`;
-      return;
-    }
+  function formatBankMatchReasons(item) {
+    const labels = {
+      reference: 'reference',
+      amount: 'amount',
+      name: 'name',
+      partial_name: 'partial name',
+      amount_mismatch: 'AMOUNT DIFFERS',
+      currency_mismatch: 'CURRENCY DIFFERS'
+    };
+    const reasons = (Array.isArray(item.matchReasons) ? item.matchReasons : []).map((reason) => labels[reason] || reason);
+    const warnings = (Array.isArray(item.matchWarnings) ? item.matchWarnings : []).map((warning) => labels[warning] || warning);
     const parts = [];
-    if (query) parts.push(`query "${query}"`);
-    if (statusFilter) parts.push(`status "${statusFilter}"`);
-    cateringOrderSearchMetaEl.textContent = `Showing ${visibleCount} of ${totalCount} catering orders for ${parts.join(' and ')}.`;
+    if (reasons.length) parts.push(`Matched on: ${reasons.join(', ')}`);
+    if (warnings.length) parts.push(warnings.join(', '));
+    return parts.join(' | ');
   }
 
-  function renderCateringOrderRows(orders, options = {}) {
-    if (!cateringOrderRowsEl) return;
-    const hasFilter = Boolean(options.hasFilter);
-    if (!orders.length) {
-      cateringOrderRowsEl.innerHTML = hasFilter
-        ? '<tr><td colspan="7">No matching catering orders.</td></tr>'
-        : '<tr><td colspan="7">No catering orders yet.</td></tr>';
+  function renderBankTransactionRows(transactions, counts) {
+    if (bankTransactionMetaEl) {
+      const safeCounts = counts && typeof counts === 'object' ? counts : {};
+      bankTransactionMetaEl.textContent = `Proposed: ${Number(safeCounts.PROPOSED || 0)} | Unmatched: ${Number(safeCounts.UNMATCHED || 0)} | Confirmed: ${Number(safeCounts.CONFIRMED || 0)} | Ignored: ${Number(safeCounts.IGNORED || 0)}`;
+    }
+    if (confirmAllBankTransactionsBtn) {
+      confirmAllBankTransactionsBtn.disabled = !transactions.some((item) => item.status === 'PROPOSED');
+    }
+    if (!bankTransactionRowsEl) return;
+    if (!transactions.length) {
+      bankTransactionRowsEl.innerHTML = '<tr><td colspan="7">No open bank transactions. Import a statement to start matching.</td></tr>';
       return;
     }
 
-    cateringOrderRowsEl.innerHTML = orders
-      .slice()
-      .reverse()
+    bankTransactionRowsEl.innerHTML = transactions
       .map((item) => {
-        const isPendingPayment = String(item.status || '').trim().toUpperCase() === 'PENDING_PAYMENT';
-        const stripeCheckAction = isPendingPayment
-          ? `<button class="btn secondary btn-small js-check-catering-stripe-payment" data-catering-order-id="${item.id}" type="button">Check Stripe payment</button>`
-          : '<span class="helper">-</span>';
-        const retryEmailAction = isPendingPayment
-          ? `<button class="btn secondary btn-small js-send-catering-retry-email" data-catering-order-id="${item.id}" type="button">Send payment link email</button>`
-          : '<span class="helper">-</span>';
-        const deleteAction = isPendingPayment
-          ? `<button class="btn secondary btn-small js-delete-catering-order" data-catering-order-id="${item.id}" type="button">Delete lunch order</button>`
-          : '<span class="helper">-</span>';
+        const registration = item.registration;
+        const matchCell = registration
+          ? `${escapeHtml(registration.fullName || '-')}<br /><span class="helper">${escapeHtml(registration.paymentReference || registration.id)} · ${formatCurrency(Number(registration.amount || 0), registration.currency || 'EUR')} · ${escapeHtml(registration.status || '-')}</span><br /><span class="helper">${escapeHtml(formatBankMatchReasons(item))}</span>`
+          : '<span class="helper">No match</span>';
+        const confirmButton = registration
+          ? `<button class="btn secondary btn-small js-confirm-bank-transaction" data-transaction-id="${escapeHtml(item.id)}" type="button">Confirm</button>`
+          : '';
         return `
           <tr>
-            <td>${formatDateTime(item.createdAt)}</td>
-            <td>${escapeHtml(item.registrationFullName || '-')}<br /><span class="helper">${escapeHtml(item.registrationEmail || '-')}</span></td>
-            <td>${escapeHtml(formatOption('campType', item.campType || ''))}</td>
-            <td><span class="helper">${escapeHtml(formatCateringDays(item.cateringSelection))}</span></td>
+            <td>${escapeHtml(item.bookingDate || '-')}</td>
+            <td>${escapeHtml(item.counterpartyName || '-')}${item.bankReference ? `<br /><span class="helper">${escapeHtml(item.bankReference)}</span>` : ''}</td>
             <td>${formatCurrency(Number(item.amount || 0), item.currency || 'EUR')}</td>
-            <td>${escapeHtml(item.status || '-')}<br /><span class="helper">${escapeHtml(item.invoiceStatus || '-')}</span></td>
-            <td>${stripeCheckAction}<div style="height:0.35rem"></div>${retryEmailAction}<div style="height:0.35rem"></div>${deleteAction}</td>
+            <td><span class="helper">${escapeHtml(item.remittanceInfo || '-')}</span></td>
+            <td>${matchCell}</td>
+            <td>${escapeHtml(item.status || '-')}</td>
+            <td>
+              <div class="cta-row">
+                ${confirmButton}
+                <button class="btn secondary btn-small js-assign-bank-transaction" data-transaction-id="${escapeHtml(item.id)}" type="button">Assign...</button>
+                <button class="btn secondary btn-small js-ignore-bank-transaction" data-transaction-id="${escapeHtml(item.id)}" type="button">Ignore</button>
+              </div>
+            </td>
           </tr>
         `;
       })
       .join('');
   }
 
-  function filterCateringOrders() {
-    const query = String(cateringOrderSearchEl?.value || '').trim().toLowerCase();
-    const statusFilter = String(cateringOrderStatusFilterEl?.value || '').trim();
-    const filtered = allCateringOrders.filter((item) => {
-      const fullName = String(item.registrationFullName || '').toLowerCase();
-      const email = String(item.registrationEmail || '').toLowerCase();
-      const status = String(item.status || '').trim();
-      const matchesQuery = !query || fullName.includes(query) || email.includes(query);
-      const matchesStatus = !statusFilter || status === statusFilter;
-      return matchesQuery && matchesStatus;
-    });
+  function renderStripeReconciliation(runs, scheduler) {
+    if (stripeReconciliationMetaEl) {
+      const safeScheduler = scheduler && typeof scheduler === 'object' ? scheduler : {};
+      stripeReconciliationMetaEl.textContent = safeScheduler.enabled
+        ? `Scheduler enabled, runs every ${Number(safeScheduler.intervalMinutes || 0)} minutes.`
+        : 'Scheduler disabled. Runs can still be started manually.';
+    }
 
-    renderCateringOrderRows(filtered, { hasFilter: Boolean(query) || Boolean(statusFilter) });
-    updateCateringOrderSearchMeta(filtered.length, allCateringOrders.length, String(cateringOrderSearchEl?.value || '').trim(), statusFilter);
+    if (stripeReconciliationRunRowsEl) {
+      stripeReconciliationRunRowsEl.innerHTML = runs.length
+        ? runs
+          .map((run) => `
+            <tr>
+              <td>${formatDateTime(run.startedAt)}</td>
+              <td>${escapeHtml(run.triggerSource || '-')}</td>
+              <td>${escapeHtml(run.status || '-')}${run.errorMessage ? `<br /><span class="helper">${escapeHtml(run.errorMessage)}</span>` : ''}</td>
+              <td>${Number(run.checkedCount || 0)}</td>
+              <td>${Number(run.paidCount || 0)}</td>
+              <td>${Number(run.expiredCount || 0)}</td>
+              <td>${Number(run.errorCount || 0)}</td>
+            </tr>
+          `)
+          .join('')
+        : '<tr><td colspan="7">No reconciliation runs yet.</td></tr>';
+    }
+
+    if (stripeReconciliationItemRowsEl) {
+      const latestItems = runs.length && Array.isArray(runs[0].items)
+        ? runs[0].items.filter((item) => item.outcome !== 'PENDING')
+        : [];
+      stripeReconciliationItemRowsEl.innerHTML = latestItems.length
+        ? latestItems
+          .map((item) => `
+            <tr>
+              <td>${escapeHtml(formatEntityTypeLabel(item.entityType))}<br /><span class="helper">${escapeHtml(item.entityId)}</span></td>
+              <td><span class="helper">${escapeHtml(item.checkoutSessionId || '-')}</span></td>
+              <td>${escapeHtml(item.outcome || '-')}</td>
+              <td>${escapeHtml(item.checkoutStatus || '-')} / ${escapeHtml(item.paymentStatus || '-')}</td>
+              <td><span class="helper">${escapeHtml(item.message || '-')}</span></td>
+            </tr>
+          `)
+          .join('')
+        : '<tr><td colspan="5">Nothing to report from the latest run.</td></tr>';
+    }
   }
 
-  function showPricingMessage(type, text) {
-    if (!pricingMessageEl) return;
-    pricingMessageEl.className = `notice ${type}`;
-    pricingMessageEl.textContent = text;
+  function renderCapacityLimitRows(groupName, settings, occupancy, waiting) {
+    return Object.entries(labels[groupName])
+      .filter(([code]) => Object.prototype.hasOwnProperty.call(settings, code))
+      .map(([code, label]) => {
+        const limit = settings[code];
+        const taken = Number(occupancy[code] || 0);
+        const isFull = Number.isInteger(limit) && taken >= limit;
+        return `
+          <tr>
+            <td>${escapeHtml(label)}</td>
+            <td><input data-capacity-group="${groupName}" data-capacity-code="${escapeHtml(code)}" value="${Number.isInteger(limit) ? limit : ''}" inputmode="numeric" placeholder="Unlimited" /></td>
+            <td>${taken}${isFull ? ' <span class="helper">(full)</span>' : ''}</td>
+            <td>${Number(waiting[code] || 0)}</td>
+          </tr>
+        `;
+      })
+      .join('');
   }
 
-  function showBackupMessage(type, text) {
-    if (!backupMessageEl) return;
-    backupMessageEl.className = `notice ${type}`;
-    backupMessageEl.textContent = text;
+  function renderCapacity(data) {
+    const settings = data?.settings || { campType: {}, attendanceDay: {} };
+    const occupancy = data?.occupancy || { campType: {}, attendanceDay: {} };
+    const waiting = data?.waiting || { campType: {}, attendanceDay: {} };
+    if (capacityCampTypeRowsEl) {
+      capacityCampTypeRowsEl.innerHTML = renderCapacityLimitRows('campType', settings.campType || {}, occupancy.campType || {}, waiting.campType || {});
+    }
+    if (capacityDayRowsEl) {
+      capacityDayRowsEl.innerHTML = renderCapacityLimitRows('attendanceDay', settings.attendanceDay || {}, occupancy.attendanceDay || {}, waiting.attendanceDay || {});
+    }
+
+    const waitlist = Array.isArray(data?.waitlist) ? data.waitlist : [];
+    if (waitlistMetaEl) {
+      const waitingCount = waitlist.filter((item) => item.status === 'WAITLISTED').length;
+      waitlistMetaEl.textContent = `${waitingCount} on the waiting list. Offers are valid for ${Number(data?.offerTtlHours || 0)} hours; expired offers are checked every ${Number(data?.sweepIntervalMinutes || 0)} minutes.`;
+    }
+    if (!waitlistRowsEl) return;
+    waitlistRowsEl.innerHTML = waitlist.length
+      ? waitlist
+        .map((item, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${formatDateTime(item.createdAt)}</td>
+            <td>${escapeHtml(item.fullName)}<br /><span class="helper">${escapeHtml(item.email)}</span></td>
+            <td>${escapeHtml(formatOption('campType', item.campType))}${item.attendanceDay ? `<br /><span class="helper">${escapeHtml(formatOption('attendanceDay', item.attendanceDay))}</span>` : ''}</td>
+            <td>${escapeHtml(item.status)}</td>
+            <td>${item.waitlistOfferExpiresAt ? formatDateTime(item.waitlistOfferExpiresAt) : '-'}</td>
+          </tr>
+        `)
+        .join('')
+      : '<tr><td colspan="6">Nobody is on the waiting list.</td></tr>';
   }
 
-  function showPasswordMessage(type, text) {
-    if (!passwordMessageEl) return;
-    passwordMessageEl.className = `notice ${type}`;
-    passwordMessageEl.textContent = text;
+  function collectCapacityPayload() {
+    const settings = { campType: {}, attendanceDay: {} };
+    if (!capacityFormEl) return settings;
+    capacityFormEl.querySelectorAll('input[data-capacity-group]').forEach((input) => {
+      const value = String(input.value || '').trim();
+      settings[input.dataset.capacityGroup][input.dataset.capacityCode] = value === '' ? null : value;
+    });
+    return settings;
   }
 
-  function showEmailMessage(type, text) {
-    if (!emailSendMessageEl) return;
+  function showCapacityMessage(type, text) {
+    if (!capacityMessageEl) return;
+    capacityMessageEl.className = `notice ${type}`;
+    capacityMessageEl.textContent = text;
+  }
+
+  async function saveCapacitySettings(event) {
+    event.preventDefault();
+    showCapacityMessage('ok', 'Saving capacity settings...');
+
+    try {
+      const response = await fetch('/api/admin/capacity', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ settings: collectCapacityPayload() })
+      });
+
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      const result = await readJsonResponseOrThrow(response);
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save capacity settings.');
+      }
+      renderCapacity(result);
+      showCapacityMessage('ok', result.message || 'Capacity settings saved.');
+    } catch (error) {
+      showCapacityMessage('error', error.message);
+    }
+  }
+
+  function renderCancellationTierRow(tier = {}) {
+    return `
+      <tr>
+        <td><input type="date" data-cancellation-field="until" value="${escapeHtml(tier.until || '')}" /></td>
+        <td><input data-cancellation-field="refundPercent" inputmode="decimal" value="${tier.refundPercent ?? ''}" /></td>
+        <td><button class="btn secondary btn-small js-remove-cancellation-tier" type="button">Remove</button></td>
+      </tr>
+    `;
+  }
+
+  function renderCancellationPolicy(data) {
+    const policy = data?.policy || { tiers: [], afterRefundPercent: 0 };
+    if (cancellationPolicyRowsEl) {
+      cancellationPolicyRowsEl.innerHTML = (policy.tiers || []).map((tier) => renderCancellationTierRow(tier)).join('');
+    }
+    if (cancellationPolicyAfterEl) {
+      cancellationPolicyAfterEl.value = String(policy.afterRefundPercent ?? 0);
+    }
+    if (cancellationPolicyMetaEl) {
+      const current = data?.current || { refundPercent: policy.afterRefundPercent, until: '' };
+      cancellationPolicyMetaEl.textContent = current.until
+        ? `A cancellation today is refunded at ${current.refundPercent}% (valid until ${current.until}).`
+        : `A cancellation today is refunded at ${current.refundPercent}%.`;
+    }
+  }
+
+  function collectCancellationPolicyPayload() {
+    const tiers = cancellationPolicyRowsEl
+      ? Array.from(cancellationPolicyRowsEl.querySelectorAll('tr')).map((row) => ({
+        until: String(row.querySelector('[data-cancellation-field="until"]')?.value || '').trim(),
+        refundPercent: String(row.querySelector('[data-cancellation-field="refundPercent"]')?.value || '').trim()
+      }))
+      : [];
+    return {
+      tiers: tiers.filter((tier) => tier.until || tier.refundPercent),
+      afterRefundPercent: String(cancellationPolicyAfterEl?.value || '0').trim() || '0'
+    };
+  }
+
+  function showCancellationPolicyMessage(type, text) {
+    if (!cancellationPolicyMessageEl) return;
+    cancellationPolicyMessageEl.className = `notice ${type}`;
+    cancellationPolicyMessageEl.textContent = text;
+  }
+
+  async function saveCancellationPolicy(event) {
+    event.preventDefault();
+    showCancellationPolicyMessage('ok', 'Saving cancellation policy...');
+
+    try {
+      const response = await fetch('/api/admin/cancellation-policy', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ policy: collectCancellationPolicyPayload() })
+      });
+
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      const result = await readJsonResponseOrThrow(response);
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save cancellation policy.');
+      }
+      renderCancellationPolicy(result);
+      showCancellationPolicyMessage('ok', result.message || 'Cancellation policy saved.');
+    } catch (error) {
+      showCancellationPolicyMessage('error', error.message);
+    }
+  }
+
+  function renderInvoiceRetryJobs(jobs, counts, scheduler) {
+    if (invoiceRetryMetaEl) {
+      const safeScheduler = scheduler && typeof scheduler === 'object' ? scheduler : {};
+      const safeCounts = counts && typeof counts === 'object' ? counts : {};
+      const schedulerText = safeScheduler.enabled
+        ? `Scheduler enabled, runs every ${Number(safeScheduler.intervalMinutes || 0)} minutes, max ${Number(safeScheduler.maxAttempts || 0)} attempts.`
+        : 'Scheduler disabled. Retries can still be started manually.';
+      invoiceRetryMetaEl.textContent = `${schedulerText} Pending: ${Number(safeCounts.PENDING || 0)}, permanently failed: ${Number(safeCounts.FAILED || 0)}.`;
+    }
+
+    if (!invoiceRetryRowsEl) return;
+    const visibleJobs = jobs.filter((job) => job.status !== 'SUCCEEDED');
+    invoiceRetryRowsEl.innerHTML = visibleJobs.length
+      ? visibleJobs
+        .map((job) => {
+          const person = String(job.registrationFullName || '').trim();
+          const email = String(job.registrationEmail || '').trim();
+          return `
+            <tr>
+              <td>${escapeHtml(formatEntityTypeLabel(job.entityType))}<br /><span class="helper">${escapeHtml(job.entityId)}</span></td>
+              <td>${escapeHtml(person || '-')}<br /><span class="helper">${escapeHtml(email)}</span></td>
+              <td>${escapeHtml(job.status || '-')}${job.alertedAt ? '<br /><span class="helper">Alert sent</span>' : ''}</td>
+              <td>${Number(job.attemptCount || 0)} / ${Number(job.maxAttempts || 0)}</td>
+              <td>${job.status === 'PENDING' ? formatDateTime(job.nextAttemptAt) : '-'}</td>
+              <td>${escapeHtml(job.lastErrorCode || '-')}</td>
+              <td><span class="helper">${escapeHtml(job.lastErrorMessage || '-')}</span></td>
+              <td><button class="btn secondary btn-small js-retry-invoice-job" data-job-id="${escapeHtml(job.id)}" type="button">Retry now</button></td>
+            </tr>
+          `;
+        })
+        .join('')
+      : '<tr><td colspan="8">No failed or missing invoices.</td></tr>';
+  }
+
+  function renderInvoiceReconciliation(report) {
+    const summary = report?.summary || {};
+    const labels = report?.issueLabels || {};
+    if (invoiceReconciliationMetaEl) {
+      const issueParts = Object.entries(summary.issueCounts || {})
+        .filter(([, count]) => Number(count) > 0)
+        .map(([code, count]) => `${labels[code] || code}: ${Number(count)}`);
+      invoiceReconciliationMetaEl.textContent = [
+        `Generated ${formatDateTime(report?.generatedAt)}.`,
+        `Paid: ${formatCurrency(Number(summary.paidTotal || 0), 'EUR')}, invoiced: ${formatCurrency(Number(summary.invoicedTotal || 0), 'EUR')}, charged on Stripe (known, net of cancellation refunds): ${formatCurrency(Number(summary.stripeChargedTotal || 0), 'EUR')}.`,
+        Number(summary.rowsWithIssues || 0) > 0
+          ? `${Number(summary.rowsWithIssues)} of ${Number(summary.rowCount || 0)} records need attention. ${issueParts.join('; ')}.`
+          : `All ${Number(summary.rowCount || 0)} records reconcile.`
+      ].join(' ');
+    }
+
+    if (!invoiceReconciliationRowsEl) return;
+    const rows = Array.isArray(report?.rows) ? report.rows : [];
+    invoiceReconciliationRowsEl.innerHTML = rows.length
+      ? rows
+        .map((row) => `
+          <tr>
+            <td>${escapeHtml(formatEntityTypeLabel(row.entityType))}<br /><span class="helper">${escapeHtml(row.entityId)}</span></td>
+            <td>${escapeHtml(row.fullName || '-')}<br /><span class="helper">${escapeHtml(row.registrationId || '')}</span></td>
+            <td>${escapeHtml(row.entityStatus || '-')}<br /><span class="helper">${escapeHtml(row.paymentMethod || '')}</span></td>
+            <td>${formatCurrency(Number(row.amount || 0), row.currency || 'EUR')}</td>
+            <td>${row.stripeAmount === null || row.stripeAmount === undefined ? '-' : formatCurrency(Number(row.stripeAmount), row.currency || 'EUR')}${Number(row.stripeRefundedAmount || 0) > 0 ? `<br /><span class="helper">Refunded: ${formatCurrency(Number(row.stripeRefundedAmount), row.currency || 'EUR')}</span>` : ''}<br /><span class="helper">${escapeHtml(row.stripePaymentIntentId || row.stripeCheckoutSessionId || '')}</span></td>
+            <td>${escapeHtml(row.invoiceNumber || '-')}<br /><span class="helper">${escapeHtml(row.invoiceStatus || '')}</span></td>
+            <td>${row.invoiceGrossAmount === null || row.invoiceGrossAmount === undefined ? '-' : formatCurrency(Number(row.invoiceGrossAmount), row.currency || 'EUR')}</td>
+            <td>${row.issues.length ? row.issues.map((code) => escapeHtml(labels[code] || code)).join('<br />') : 'OK'}</td>
+          </tr>
+        `)
+        .join('')
+      : '<tr><td colspan="8">No paid or invoiced records.</td></tr>';
+  }
+
+  function formatPromoCodeDiscount(promoCode) {
+    return promoCode.discountType === 'PERCENT'
+      ? `${Number(promoCode.discountValue || 0)}%`
+      : formatCurrency(promoCode.discountValue, 'EUR');
+  }
+
+  function renderPromoCodeRows(promoCodes) {
+    if (!promoCodeRowsEl) return;
+    if (!promoCodes.length) {
+      promoCodeRowsEl.innerHTML = '<tr><td colspan="7">No promo codes yet.</td></tr>';
+      return;
+    }
+
+    promoCodeRowsEl.innerHTML = promoCodes
+      .map((item) => {
+        const restrictions = [];
+        if (item.campTypes.length) restrictions.push(`Types: ${item.campTypes.join(', ')}`);
+        if (item.emailAllowlist.length) restrictions.push(`Emails: ${item.emailAllowlist.join(', ')}`);
+        return `
+          <tr>
+            <td>${escapeHtml(item.code)}${item.description ? `<br /><span class="helper">${escapeHtml(item.description)}</span>` : ''}</td>
+            <td>${escapeHtml(formatPromoCodeDiscount(item))}</td>
+            <td>${escapeHtml(item.validFrom || '-')} &ndash; ${escapeHtml(item.validUntil || '-')}</td>
+            <td>${Number(item.usedCount || 0)}${item.maxUses ? ` / ${Number(item.maxUses)}` : ''}</td>
+            <td><span class="helper">${escapeHtml(restrictions.join(' | ') || '-')}</span></td>
+            <td>${item.active ? 'Active' : 'Inactive'}</td>
+            <td><button class="btn secondary btn-small js-edit-promo-code" data-promo-code-id="${escapeHtml(item.id)}" type="button">Edit</button></td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function showPromoCodeMessage(type, text) {
+    if (!promoCodeMessageEl) return;
+    promoCodeMessageEl.className = `notice ${type}`;
+    promoCodeMessageEl.textContent = text;
+  }
+
+  function populatePromoCodeForm(promoCode) {
+    if (!promoCodeFormEl) return;
+    const item = promoCode || {};
+    promoCodeIdEl.value = item.id || '';
+    promoCodeCodeEl.value = item.code || '';
+    promoCodeDescriptionEl.value = item.description || '';
+    promoCodeDiscountTypeEl.value = item.discountType || 'PERCENT';
+    promoCodeDiscountValueEl.value = item.discountValue ? String(item.discountValue) : '';
+    promoCodeValidFromEl.value = item.validFrom || '';
+    promoCodeValidUntilEl.value = item.validUntil || '';
+    promoCodeMaxUsesEl.value = String(item.maxUses || 0);
+    const campTypes = new Set(Array.isArray(item.campTypes) ? item.campTypes : []);
+    Array.from(promoCodeCampTypesEl.options).forEach((option) => {
+      option.selected = campTypes.has(option.value);
+    });
+    promoCodeEmailAllowlistEl.value = Array.isArray(item.emailAllowlist) ? item.emailAllowlist.join('\n') : '';
+    promoCodeActiveEl.checked = item.active !== false;
+  }
+
+  async function savePromoCode(event) {
+    event.preventDefault();
+    showPromoCodeMessage('ok', 'Saving promo code...');
+
+    try {
+      const response = await fetch('/api/admin/promo-codes/save', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          id: promoCodeIdEl.value,
+          code: promoCodeCodeEl.value,
+          description: promoCodeDescriptionEl.value,
+          discountType: promoCodeDiscountTypeEl.value,
+          discountValue: promoCodeDiscountValueEl.value,
+          validFrom: promoCodeValidFromEl.value,
+          validUntil: promoCodeValidUntilEl.value,
+          maxUses: promoCodeMaxUsesEl.value,
+          campTypes: Array.from(promoCodeCampTypesEl.selectedOptions).map((option) => option.value),
+          emailAllowlist: promoCodeEmailAllowlistEl.value,
+          active: promoCodeActiveEl.checked
+        })
+      });
+
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      const result = await readJsonResponseOrThrow(response);
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to save promo code.');
+      }
+
+      populatePromoCodeForm(result.promoCode);
+      showPromoCodeMessage('ok', result.message || 'Promo code saved.');
+      await loadData();
+    } catch (error) {
+      showPromoCodeMessage('error', error.message);
+    }
+  }
+
+  function showInvoiceRetryMessage(type, text) {
+    if (!invoiceRetryMessageEl) return;
+    invoiceRetryMessageEl.className = `notice ${type}`;
+    invoiceRetryMessageEl.textContent = text;
+  }
+
+  function showStripeReconciliationMessage(type, text) {
+    if (!stripeReconciliationMessageEl) return;
+    stripeReconciliationMessageEl.className = `notice ${type}`;
+    stripeReconciliationMessageEl.textContent = text;
+  }
+
+  function showBankStatementMessage(type, text) {
+    if (!bankStatementMessageEl) return;
+    bankStatementMessageEl.className = `notice ${type}`;
+    bankStatementMessageEl.textContent = text;
+  }
+
+  function updateInvoiceSearchMeta(visibleCount, totalCount, query, typeFilter) {
+    if (!invoiceSearchMetaEl) return;
+    if (!query && !typeFilter) {
+      invoiceSearchMetaEl.textContent = `Showing ${totalCount} invoice records.`;
+      return;
+    }
+
+    const parts = [];
+    if (query) parts.push(`query "${query}"`);
+    if (typeFilter) parts.push(`type "${typeFilter}"`);
+    invoiceSearchMetaEl.textContent = `Showing ${visibleCount} of ${totalCount} invoice records for ${parts.join(' and ')}.`;
+  }
+
+  function renderInvoiceRows(invoices, options = {}) {
+    if (!invoiceRowsEl) return;
+    const hasFilter = Boolean(options.hasFilter);
+
+    if (!invoices.length) {
+      invoiceRowsEl.innerHTML = hasFilter
+        ? '<tr><td colspan="8">No matching invoice records.</td></tr>'
+        : '<tr><td colspan="8">No invoice records yet.</td></tr>';
+      return;
+    }
+
+    invoiceRowsEl.innerHTML = invoices
+      .slice()
+      .map((item) => {
+        const invoiceId = String(item.id || '');
+        const status = String(item.status || '-');
+        const entityType = String(item.entityType || 'registration').trim();
+        const entityLabel = formatEntityTypeLabel(entityType);
+        const registrationId = String(item.registrationId || '');
+        const person = String(item.registrationFullName || '').trim();
+        const email = String(item.registrationEmail || '').trim();
+        const identity = person || email ? `${escapeHtml(person)}<br /><span class="helper">${escapeHtml(email)}</span>` : '-';
+        const errorText = String(item.errorMessage || item.errorCode || '').trim();
+        const detailsToggle = `<button class="btn secondary btn-small js-toggle-invoice-details" data-invoice-id="${invoiceId}" aria-expanded="false" type="button">Show response</button>`;
+        const entityAttributes = `data-entity-type="${escapeHtml(entityType)}" data-entity-id="${escapeHtml(item.entityId || '')}" data-invoice-number="${escapeHtml(item.invoiceNumber || '')}"`;
+        const stornoButton = status === 'SUCCESS' && item.invoiceNumber
+          ? `<button class="btn secondary btn-small js-storno-invoice" ${entityAttributes} type="button">Storno</button>`
+          : '';
+        const reissueButton = status === 'STORNOED'
+          ? `<button class="btn secondary btn-small js-reissue-invoice" ${entityAttributes} type="button">Reissue</button>`
+          : '';
+        const hasIssuedInvoice = Boolean(item.invoiceNumber) && (status === 'SUCCESS' || status === 'STORNOED');
+        const pdfQuery = `entityType=${encodeURIComponent(entityType)}&entityId=${encodeURIComponent(item.entityId || '')}`;
+        const pdfButtons = hasIssuedInvoice
+          ? `<a class="btn secondary btn-small" href="/api/admin/invoices/pdf?${pdfQuery}" title="${item.pdfStored ? 'Stored PDF' : 'Downloaded from Szamlazz.hu on first use'}">PDF</a><button class="btn secondary btn-small js-send-invoice-pdf" ${entityAttributes} type="button">Email PDF link</button>`
+          : '';
+        const chainHtml = renderInvoiceChain(item.chain);
+
+        const detailRow = `
+          <tr class="invoice-details-row" data-invoice-details-row="${invoiceId}" hidden>
+            <td colspan="8">
+              <div class="registration-details-grid">
+                ${renderDetailField('Record ID', item.id)}
+                ${renderDetailField('Type', entityLabel)}
+                ${renderDetailField('Entity ID', item.entityId || '-')}
+                ${renderDetailField('Registration ID', item.registrationId)}
+                ${renderDetailField('Invoice number', item.invoiceNumber)}
+                ${renderDetailField('Status', status)}
+                ${renderDetailField('Provider', item.provider)}
+                ${renderDetailField('Trigger source', item.triggerSource)}
+                ${renderDetailField('External ID', item.externalId)}
+                ${renderDetailField('Gross amount', formatCurrency(Number(item.grossAmount || 0), item.currency || 'EUR'))}
+                ${renderDetailField('Net amount', formatCurrency(Number(item.netAmount || 0), item.currency || 'EUR'))}
+                ${renderDetailField('Error code', item.errorCode || '-')}
+                ${renderDetailField('Error message', errorText || '-')}
+                ${renderDetailField('PDF stored', item.pdfStored ? 'Yes' : 'No')}
+                ${renderDetailField('Created at', formatDateTime(item.createdAt))}
+                ${renderDetailField('Updated at', formatDateTime(item.updatedAt))}
+              </div>
+              ${renderInvoiceXmlBlock('Request XML', item.requestXml)}
+              ${renderInvoiceXmlBlock('Raw response', item.rawResponse)}
+              ${renderInvoiceStornoAttempts(item.stornos)}
+            </td>
+          </tr>
+        `;
+
+        return `
+          <tr>
+            <td>${formatDateTime(item.updatedAt)}</td>
+            <td>${escapeHtml(entityLabel)}</td>
+            <td>${escapeHtml(registrationId)}<br />${identity}</td>
+            <td>${escapeHtml(item.invoiceNumber || '-')}${chainHtml ? `<br /><span class="helper">${chainHtml}</span>` : ''}</td>
+            <td>${escapeHtml(status)}</td>
+            <td>${escapeHtml(item.triggerSource || '-')}</td>
+            <td>${escapeHtml(errorText || '-')}</td>
+            <td><div class="cta-row">${detailsToggle}${pdfButtons}${stornoButton}${reissueButton}</div></td>
+          </tr>
+          ${detailRow}
+        `;
+      })
+      .join('');
+  }
+
+  function filterInvoices() {
+    const query = String(invoiceSearchEl?.value || '').trim();
+    const normalized = query.toLowerCase();
+    const typeFilter = String(invoiceTypeFilterEl?.value || '').trim();
+
+    const filtered = allInvoices.filter((item) => {
+        const matchesType = !typeFilter || String(item.entityType || '').trim() === typeFilter;
+        const fields = [
+          item.entityType,
+          item.entityId,
+          item.registrationId,
+          item.registrationFullName,
+          item.registrationEmail,
+          item.invoiceNumber,
+          item.status,
+          item.triggerSource,
+          item.errorCode,
+          item.errorMessage,
+          ...(Array.isArray(item.chain) ? item.chain.map((step) => step.invoiceNumber) : [])
+        ];
+        const matchesQuery = !normalized || fields.some((value) => String(value || '').toLowerCase().includes(normalized));
+        return matchesType && matchesQuery;
+      });
+
+    renderInvoiceRows(filtered, { hasFilter: normalized.length > 0 || Boolean(typeFilter) });
+    updateInvoiceSearchMeta(filtered.length, allInvoices.length, query, typeFilter);
+  }
+
+  function updateSearchMeta(visibleCount, totalCount, query, statusFilter) {
+    if (!registrationSearchMetaEl) return;
+    if (!query && !statusFilter) {
+      registrationSearchMetaEl.textContent = `Showing ${totalCount} registrations.`;
+      return;
+    }
+
+    const parts = [];
+    if (query) parts.push(`query "${query}"`);
+    if (statusFilter) parts.push(`status "${statusFilter}"`);
+    registrationSearchMetaEl.textContent = `Showing ${visibleCount} of ${totalCount} registrations for ${parts.join(' and ')}.`;
+  }
+
+  function filterRegistrations() {
+    const query = String(registrationSearchEl?.value || '').trim();
+    const normalized = query.toLowerCase();
+    const statusFilter = String(registrationStatusFilterEl?.value || '').trim();
+
+    const filtered = allRegistrations.filter((item) => {
+      const fullName = String(item.fullName || '').toLowerCase();
+      const email = String(item.email || '').toLowerCase();
+      const status = String(item.status || '').trim();
+      const paymentReference = String(item.paymentReference || '').toLowerCase();
+      const matchesQuery = !normalized || fullName.includes(normalized) || email.includes(normalized) || paymentReference.includes(normalized);
+      const matchesStatus = !statusFilter || status === statusFilter;
+      return matchesQuery && matchesStatus;
+    });
+
+    renderRows(filtered, { hasFilter: normalized.length > 0 || Boolean(statusFilter) });
+    updateSearchMeta(filtered.length, allRegistrations.length, query, statusFilter);
+  }
+
+  function updateCateringOrderSearchMeta(visibleCount, totalCount, query, statusFilter) {
+    if (!cateringOrderSearchMetaEl) return;
+    if (!query && !statusFilter) {
+      cateringOrderSearchMetaEl.textContent = `Showing ${totalCount} catering orders.`;
+      return;
+    }
+    const parts = [];
+    if (query) parts.push(`query "${query}"`);
+    if (statusFilter) parts.push(`status "${statusFilter}"`);
+    cateringOrderSearchMetaEl.textContent = `Showing ${visibleCount} of ${totalCount} catering orders for ${parts.join(' and ')}.`;
+  }
+
+  function renderCateringOrderRows(orders, options = {}) {
+    if (!cateringOrderRowsEl) return;
+    const hasFilter = Boolean(options.hasFilter);
+    if (!orders.length) {
+      cateringOrderRowsEl.innerHTML = hasFilter
+        ? '<tr><td colspan="7">No matching catering orders.</td></tr>'
+        : '<tr><td colspan="7">No catering orders yet.</td></tr>';
+      return;
+    }
+
+    cateringOrderRowsEl.innerHTML = orders
+      .slice()
+      .reverse()
+      .map((item) => {
+        const normalizedStatus = String(item.status || '').trim().toUpperCase();
+        const isUnpaidCheckout = UNPAID_CHECKOUT_STATUSES.has(normalizedStatus);
+        const refundAction = normalizedStatus === 'PAID' || normalizedStatus === 'PARTIALLY_REFUNDED'
+          ? `<button class="btn secondary btn-small js-refund-payment" data-entity-type="catering_order" data-entity-id="${escapeHtml(item.id)}" type="button">Refund</button>`
+          : '<span class="helper">-</span>';
+        const stripeCheckAction = isUnpaidCheckout
+          ? `<button class="btn secondary btn-small js-check-catering-stripe-payment" data-catering-order-id="${item.id}" type="button">Check Stripe payment</button>`
+          : '<span class="helper">-</span>';
+        const retryEmailAction = isUnpaidCheckout
+          ? `<button class="btn secondary btn-small js-send-catering-retry-email" data-catering-order-id="${item.id}" type="button">Send payment link email</button>`
+          : '<span class="helper">-</span>';
+        const deleteAction = isUnpaidCheckout
+          ? `<button class="btn secondary btn-small js-delete-catering-order" data-catering-order-id="${item.id}" type="button">Delete lunch order</button>`
+          : '<span class="helper">-</span>';
+        return `
+          <tr>
+            <td>${formatDateTime(item.createdAt)}</td>
+            <td>${escapeHtml(item.registrationFullName || '-')}<br /><span class="helper">${escapeHtml(item.registrationEmail || '-')}</span></td>
+            <td>${escapeHtml(formatOption('campType', item.campType || ''))}</td>
+            <td><span class="helper">${escapeHtml(formatCateringDays(item.cateringSelection))}</span></td>
+            <td>${formatCurrency(Number(item.amount || 0), item.currency || 'EUR')}${renderRefundedAmountNote(item)}</td>
+            <td>${escapeHtml(item.status || '-')}${renderPaymentErrorNote(item)}<br /><span class="helper">${escapeHtml(item.invoiceStatus || '-')}</span></td>
+            <td>${stripeCheckAction}<div style="height:0.35rem"></div>${retryEmailAction}<div style="height:0.35rem"></div>${refundAction}<div style="height:0.35rem"></div>${deleteAction}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function filterCateringOrders() {
+    const query = String(cateringOrderSearchEl?.value || '').trim().toLowerCase();
+    const statusFilter = String(cateringOrderStatusFilterEl?.value || '').trim();
+    const filtered = allCateringOrders.filter((item) => {
+      const fullName = String(item.registrationFullName || '').toLowerCase();
+      const email = String(item.registrationEmail || '').toLowerCase();
+      const status = String(item.status || '').trim();
+      const matchesQuery = !query || fullName.includes(query) || email.includes(query);
+      const matchesStatus = !statusFilter || status === statusFilter;
+      return matchesQuery && matchesStatus;
+    });
+
+    renderCateringOrderRows(filtered, { hasFilter: Boolean(query) || Boolean(statusFilter) });
+    updateCateringOrderSearchMeta(filtered.length, allCateringOrders.length, String(cateringOrderSearchEl?.value || '').trim(), statusFilter);
+  }
+
+  function showPricingMessage(type, text) {
+    if (!pricingMessageEl) return;
+    pricingMessageEl.className = `notice ${type}`;
+    pricingMessageEl.textContent = text;
+  }
+
+  function showBackupMessage(type, text) {
+    if (!backupMessageEl) return;
+    backupMessageEl.className = `notice ${type}`;
+    backupMessageEl.textContent = text;
+  }
+
+  function showPasswordMessage(type, text) {
+    if (!passwordMessageEl) return;
+    passwordMessageEl.className = `notice ${type}`;
+    passwordMessageEl.textContent = text;
+  }
+
+  function showEmailMessage(type, text) {
+    if (!emailSendMessageEl) return;
     emailSendMessageEl.className = `notice ${type}`;
     emailSendMessageEl.textContent = text;
   }
@@ -815,7 +1720,7 @@
       const email = String(item.email || '').trim();
       const hasMainLunchSelection = Number(item.cateringDaysCount || 0) > 0;
       const hasSeparateCateringOrder = Boolean(item.hasCateringOrder);
-      return status === 'PAID' && email.length > 0 && !hasMainLunchSelection && !hasSeparateCateringOrder;
+      return SETTLED_STATUSES.has(status) && email.length > 0 && !hasMainLunchSelection && !hasSeparateCateringOrder;
     });
   }
 
@@ -862,18 +1767,22 @@
       .map((item) => {
         const entityType = String(item.entityType || 'sayonara_order').trim();
         const entityId = String(item.id || '').trim();
-        const isPendingPayment = String(item.status || '').trim().toUpperCase() === 'PENDING_PAYMENT';
+        const normalizedStatus = String(item.status || '').trim().toUpperCase();
+        const isUnpaidCheckout = UNPAID_CHECKOUT_STATUSES.has(normalizedStatus);
         const canSendGuestInvite = Boolean(item.canSendGuestInvite);
-        const editPackagesAction = isPendingPayment
+        const refundAction = normalizedStatus === 'PAID' || normalizedStatus === 'PARTIALLY_REFUNDED'
+          ? `<button class="btn secondary btn-small js-refund-payment" data-entity-type="${escapeHtml(entityType)}" data-entity-id="${escapeHtml(entityId)}" type="button">Refund</button>`
+          : '<span class="helper">-</span>';
+        const editPackagesAction = isUnpaidCheckout
           ? `<button class="btn secondary btn-small js-edit-sayonara-packages" data-sayonara-entity-type="${escapeHtml(entityType)}" data-sayonara-entity-id="${escapeHtml(entityId)}" type="button">Edit packages</button>`
           : '<span class="helper">-</span>';
-        const stripeCheckAction = isPendingPayment
+        const stripeCheckAction = isUnpaidCheckout
           ? `<button class="btn secondary btn-small js-check-sayonara-stripe-payment" data-sayonara-entity-type="${escapeHtml(entityType)}" data-sayonara-entity-id="${escapeHtml(entityId)}" type="button">Check Stripe payment</button>`
           : '<span class="helper">-</span>';
-        const retryEmailAction = isPendingPayment
+        const retryEmailAction = isUnpaidCheckout
           ? `<button class="btn secondary btn-small js-send-sayonara-retry-email" data-sayonara-entity-type="${escapeHtml(entityType)}" data-sayonara-entity-id="${escapeHtml(entityId)}" type="button">Send payment link email</button>`
           : '<span class="helper">-</span>';
-        const deleteAction = isPendingPayment
+        const deleteAction = isUnpaidCheckout
           ? `<button class="btn secondary btn-small js-delete-sayonara-order" data-sayonara-entity-type="${escapeHtml(entityType)}" data-sayonara-entity-id="${escapeHtml(entityId)}" type="button">Delete Sayonara order</button>`
           : '<span class="helper">-</span>';
         const guestInviteAction = canSendGuestInvite
@@ -892,14 +1801,452 @@
             <td>${escapeHtml(item.id || '-')}</td>
             <td>${escapeHtml(item.registrationFullName || '-')}<br /><span class="helper">${escapeHtml(item.registrationEmail || '-')}</span></td>
             <td>${escapeHtml(orderKindLabel)}</td>
-            <td>${escapeHtml(item.status || '-')}<br /><span class="helper">${escapeHtml(item.invoiceStatus || '-')}</span></td>
+            <td>${escapeHtml(item.status || '-')}${renderPaymentErrorNote(item)}<br /><span class="helper">${escapeHtml(item.invoiceStatus || '-')}</span></td>
             <td>${detailsMarkup}</td>
-            <td>${formatCurrency(Number(item.amount || 0), item.currency || 'EUR')}</td>
-            <td>${editPackagesAction}<div style="height:0.35rem"></div>${stripeCheckAction}<div style="height:0.35rem"></div>${retryEmailAction}<div style="height:0.35rem"></div>${guestInviteAction}<div style="height:0.35rem"></div>${deleteAction}</td>
+            <td>${formatCurrency(Number(item.amount || 0), item.currency || 'EUR')}${renderRefundedAmountNote(item)}</td>
+            <td>${editPackagesAction}<div style="height:0.35rem"></div>${stripeCheckAction}<div style="height:0.35rem"></div>${retryEmailAction}<div style="height:0.35rem"></div>${refundAction}<div style="height:0.35rem"></div>${guestInviteAction}<div style="height:0.35rem"></div>${deleteAction}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function renderRegistrationGroupRows(groups) {
+    if (!registrationGroupRowsEl) return;
+    if (!groups.length) {
+      registrationGroupRowsEl.innerHTML = '<tr><td colspan="7">No group registrations yet.</td></tr>';
+      return;
+    }
+
+    registrationGroupRowsEl.innerHTML = groups
+      .slice()
+      .reverse()
+      .map((item) => {
+        const normalizedStatus = String(item.status || '').trim().toUpperCase();
+        const refundAction = normalizedStatus === 'PAID' || normalizedStatus === 'PARTIALLY_REFUNDED'
+          ? `<button class="btn secondary btn-small js-refund-payment" data-entity-type="registration_group" data-entity-id="${escapeHtml(item.id)}" type="button">Refund</button>`
+          : '<span class="helper">-</span>';
+        const members = Array.isArray(item.members) ? item.members : [];
+        const memberLines = members
+          .map((member) => `${escapeHtml(member.fullName)} <span class="helper">(${escapeHtml(formatOption('campType', member.campType))}, ${formatCurrency(Number(member.amount || 0), member.currency || 'EUR')}, ${escapeHtml(member.status)})</span>`)
+          .join('<br />');
+        const billingName = item.billingCompanyName || item.billingFullName || '-';
+        return `
+          <tr>
+            <td>${formatDateTime(item.createdAt)}</td>
+            <td>${escapeHtml(item.leaderFullName || '-')}<br /><span class="helper">${escapeHtml(item.leaderEmail || '-')}</span>${item.dojoName ? `<br /><span class="helper">${escapeHtml(item.dojoName)}</span>` : ''}</td>
+            <td>${memberLines || '-'}</td>
+            <td>${escapeHtml(billingName)}${item.billingVatId ? `<br /><span class="helper">${escapeHtml(item.billingVatId)}</span>` : ''}</td>
+            <td>${formatCurrency(Number(item.amount || 0), item.currency || 'EUR')}${renderRefundedAmountNote(item)}</td>
+            <td>${escapeHtml(item.status || '-')}${renderPaymentErrorNote(item)}<br /><span class="helper">${escapeHtml(item.invoiceNumber || item.invoiceStatus || '-')}</span></td>
+            <td>${refundAction}</td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function showDuplicateMessage(type, text) {
+    if (!duplicateMessageEl) return;
+    duplicateMessageEl.className = `notice ${type}`;
+    duplicateMessageEl.textContent = text;
+  }
+
+  function renderDuplicateRegistrationCell(registration) {
+    const details = [registration.email, registration.phone, registration.dateOfBirth].filter(Boolean).map(escapeHtml).join(' · ');
+    const groupNote = registration.groupId ? '<br /><span class="helper">Group member</span>' : '';
+    return `${escapeHtml(registration.fullName || '-')}<br /><span class="helper">${details || '-'}</span><br /><span class="helper">${formatDateTime(registration.createdAt)} · ${escapeHtml(formatOption('campType', registration.campType))} · ${escapeHtml(registration.status || '-')}</span>${groupNote}`;
+  }
+
+  function renderDuplicateRows(pairs) {
+    if (!duplicateRowsEl) return;
+    if (!pairs.length) {
+      duplicateRowsEl.innerHTML = '<tr><td colspan="4">No possible duplicates found.</td></tr>';
+      return;
+    }
+
+    duplicateRowsEl.innerHTML = pairs
+      .map((pair) => {
+        const [first, second] = pair.registrations;
+        const mergeButton = (survivor, duplicate) => duplicate.mergeable
+          ? `<button class="btn secondary btn-small js-merge-duplicate" data-survivor-id="${escapeHtml(survivor.id)}" data-duplicate-id="${escapeHtml(duplicate.id)}" type="button">Keep ${escapeHtml(survivor.fullName)}, merge the other</button>`
+          : '';
+        const actions = [mergeButton(first, second), mergeButton(second, first)].filter(Boolean);
+        if (!actions.length) {
+          actions.push('<span class="helper">Both are paid or in a group: cancel or refund one first.</span>');
+        }
+        return `
+          <tr>
+            <td>${escapeHtml((pair.reasons || []).join(', '))}<br /><span class="helper">Score: ${Number(pair.score || 0)}</span></td>
+            <td>${renderDuplicateRegistrationCell(first)}</td>
+            <td>${renderDuplicateRegistrationCell(second)}</td>
+            <td>
+              <div class="cta-row">
+                ${actions.join('')}
+                <button class="btn secondary btn-small js-dismiss-duplicate" data-first-id="${escapeHtml(first.id)}" data-second-id="${escapeHtml(second.id)}" type="button">Not a duplicate</button>
+              </div>
+            </td>
+          </tr>
+        `;
+      })
+      .join('');
+  }
+
+  function showExamMessage(type, text) {
+    if (!examMessageEl) return;
+    examMessageEl.className = `notice ${type}`;
+    examMessageEl.textContent = text;
+  }
+
+  function populateExamSessionForm(session) {
+    if (!examSessionFormEl) return;
+    const item = session || {};
+    examSessionIdEl.value = item.id || '';
+    examSessionDisciplineEl.value = item.discipline || 'iaido';
+    examSessionDateEl.value = item.examDate || '';
+    examSessionStartTimeEl.value = item.startTime || '';
+    examSessionLocationEl.value = item.location || '';
+    const targetGrades = new Set(Array.isArray(item.targetGrades) ? item.targetGrades : []);
+    Array.from(examSessionTargetGradesEl.options).forEach((option) => {
+      option.selected = targetGrades.has(option.value);
+    });
+    examSessionNotesEl.value = item.notes || '';
+  }
+
+  function renderExamPanel(session) {
+    const rows = session.panel.length
+      ? session.panel
+        .map((member) => `
+          <tr>
+            <td>${member.role === 'CHAIR' ? 'Chair' : 'Member'}</td>
+            <td>${escapeHtml(member.fullName)}</td>
+            <td>${escapeHtml(member.grade)}</td>
+            <td>${escapeHtml(member.federation || '-')}</td>
+            <td><button class="btn secondary btn-small js-remove-panel-member" data-panel-member-id="${escapeHtml(member.id)}" type="button">Remove</button></td>
+          </tr>
+        `)
+        .join('')
+      : '<tr><td colspan="5">No panel members yet.</td></tr>';
+    const gradeOptions = examGradeOptions
+      .filter((grade) => grade.endsWith('dan'))
+      .map((grade) => `<option value="${escapeHtml(grade)}">${escapeHtml(grade)}</option>`)
+      .join('');
+    return `
+      <div class="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th>Role</th>
+              <th>Panel member</th>
+              <th>Grade</th>
+              <th>Federation</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows}
+            <tr>
+              <td>
+                <select class="js-panel-role" aria-label="Role">
+                  <option value="MEMBER">Member</option>
+                  <option value="CHAIR">Chair</option>
+                </select>
+              </td>
+              <td><input class="js-panel-name" maxlength="120" placeholder="Full name" aria-label="Panel member name" /></td>
+              <td><select class="js-panel-grade" aria-label="Panel member grade">${gradeOptions}</select></td>
+              <td><input class="js-panel-federation" maxlength="120" placeholder="Federation" aria-label="Panel member federation" /></td>
+              <td><button class="btn secondary btn-small js-add-panel-member" data-session-id="${escapeHtml(session.id)}" type="button">Add</button></td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function renderExamCandidateGroup(group) {
+    const resultOptions = ['PENDING', 'PASSED', 'FAILED', 'ABSENT'];
+    const rows = group.candidates
+      .map((candidate) => {
+        const flags = [];
+        if (candidate.withdrawn) flags.push('No longer an exam candidate (status or exam selection changed).');
+        flags.push(...(Array.isArray(candidate.eligibilityIssues) ? candidate.eligibilityIssues : []));
+        return `
+          <tr data-exam-candidate-id="${escapeHtml(candidate.id)}">
+            <td>${escapeHtml(candidate.candidateCode || '-')}</td>
+            <td>${escapeHtml(candidate.fullName || '-')}<br /><span class="helper">${escapeHtml(candidate.email || '-')} · ${escapeHtml(candidate.registrationStatus || '-')}</span></td>
+            <td>${escapeHtml(candidate.currentGrade || '-')}<br /><span class="helper">${escapeHtml(candidate.currentGradeDate || '-')}</span></td>
+            <td>${escapeHtml(candidate.federationName || '-')}<br /><span class="helper">${escapeHtml(candidate.federationMembershipId || '-')}</span></td>
+            <td><span class="helper">${flags.length ? flags.map((flag) => escapeHtml(flag)).join('<br />') : 'OK'}</span></td>
+            <td>
+              <select class="js-exam-result" aria-label="Result">
+                ${resultOptions.map((result) => `<option value="${result}"${candidate.result === result ? ' selected' : ''}>${result}</option>`).join('')}
+              </select>
+              ${candidate.resultEmailSentAt ? `<br /><span class="helper">Emailed ${formatDateTime(candidate.resultEmailSentAt)}</span>` : ''}
+            </td>
+            <td>
+              ${escapeHtml(candidate.examFeeStatus || 'NOT_REQUESTED')}
+              ${candidate.examFee ? `<br /><span class="helper">${formatCurrency(candidate.examFee.amount, candidate.examFee.currency || 'EUR')}${candidate.examFee.paidAt ? ` · paid ${formatDateTime(candidate.examFee.paidAt)}` : ''}</span>${renderPaymentErrorNote(candidate.examFee)}` : ''}
+            </td>
+            <td><input class="js-exam-result-notes" maxlength="500" value="${escapeHtml(candidate.resultNotes)}" aria-label="Internal notes" /></td>
+            <td>
+              <button class="btn secondary btn-small js-send-exam-fee-link" data-session-id="${escapeHtml(candidate.sessionId)}" data-candidate-id="${escapeHtml(candidate.id)}" type="button"${candidate.withdrawn || SETTLED_STATUSES.has(candidate.examFeeStatus) ? ' disabled' : ''}>Send fee link</button>
+              <button class="btn secondary btn-small js-remove-exam-candidate" data-candidate-id="${escapeHtml(candidate.id)}" type="button"${candidate.result === 'PENDING' ? '' : ' disabled'}>Remove</button>
+            </td>
           </tr>
         `;
       })
       .join('');
+    return `
+      <h4>${escapeHtml(group.targetGrade)} (${group.candidates.length})</h4>
+      <div class="table-wrap">
+        <table>
+          <thead>
+            <tr>
+              <th>No.</th>
+              <th>Candidate</th>
+              <th>Current grade</th>
+              <th>Federation</th>
+              <th>Eligibility</th>
+              <th>Result</th>
+              <th>Exam fee</th>
+              <th>Internal notes</th>
+              <th>Action</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  function renderExamSessions(sessions, unassigned) {
+    if (examUnassignedMetaEl) {
+      const counts = unassigned && typeof unassigned === 'object' ? unassigned : {};
+      examUnassignedMetaEl.textContent = `Exam applicants not yet assigned to a session: Iaido ${Number(counts.iaido || 0)}, Jodo ${Number(counts.jodo || 0)}.`;
+    }
+    if (!examSessionListEl) return;
+    if (!sessions.length) {
+      examSessionListEl.innerHTML = '<p class="helper">No exam sessions yet.</p>';
+      return;
+    }
+
+    examSessionListEl.innerHTML = sessions
+      .map((session) => {
+        const counts = session.counts || {};
+        const heading = [session.examDate, session.startTime, session.location].filter(Boolean).join(', ');
+        return `
+          <div class="registration-note-block" data-exam-session-id="${escapeHtml(session.id)}">
+            <h3>${escapeHtml(session.disciplineLabel)} exam: ${escapeHtml(heading)}</h3>
+            <p class="helper">Grades: ${escapeHtml(session.targetGrades.length ? session.targetGrades.join(', ') : 'all')} | Candidates: ${Number(counts.total || 0)} (passed ${Number(counts.PASSED || 0)}, failed ${Number(counts.FAILED || 0)}, absent ${Number(counts.ABSENT || 0)}, pending ${Number(counts.PENDING || 0)})${session.notes ? `<br />${escapeHtml(session.notes)}` : ''}</p>
+            <div class="cta-row">
+              <button class="btn secondary btn-small js-edit-exam-session" data-session-id="${escapeHtml(session.id)}" type="button">Edit</button>
+              <button class="btn secondary btn-small js-assign-exam-candidates" data-session-id="${escapeHtml(session.id)}" type="button">Add applicants</button>
+              <button class="btn secondary btn-small js-send-exam-results" data-session-id="${escapeHtml(session.id)}" type="button"${session.unsentResultCount ? '' : ' disabled'}>Email results (${Number(session.unsentResultCount || 0)})</button>
+              <button class="btn secondary btn-small js-send-exam-fee-links" data-session-id="${escapeHtml(session.id)}" type="button"${session.unpaidFeeCount ? '' : ' disabled'}>Send fee payment links (${Number(session.unpaidFeeCount || 0)})</button>
+              <button class="btn secondary btn-small js-export-exam-results" data-session-id="${escapeHtml(session.id)}" type="button">Export CSV</button>
+              <button class="btn secondary btn-small js-download-scoring-sheets" data-session-id="${escapeHtml(session.id)}" type="button"${session.candidateGroups.length && session.panel.length ? '' : ' disabled'}>Scoring sheets (PDF)</button>
+              <button class="btn secondary btn-small js-delete-exam-session" data-session-id="${escapeHtml(session.id)}" type="button">Delete</button>
+            </div>
+            <h4>Panel (shinsa-in)</h4>
+            ${renderExamPanel(session)}
+            ${session.candidateGroups.length ? session.candidateGroups.map(renderExamCandidateGroup).join('') : '<p class="helper">No candidates assigned yet.</p>'}
+            ${session.candidateGroups.length ? `<div class="cta-row"><button class="btn primary btn-small js-save-exam-results" data-session-id="${escapeHtml(session.id)}" type="button">Save results</button></div>` : ''}
+          </div>
+        `;
+      })
+      .join('');
+  }
+
+  async function postExamAction(url, payload, fallbackError) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || fallbackError);
+    }
+    return result;
+  }
+
+  async function saveExamSession(event) {
+    event.preventDefault();
+    showExamMessage('ok', 'Saving exam session...');
+    try {
+      const result = await postExamAction('/api/admin/exams/sessions/save', {
+        id: examSessionIdEl.value,
+        discipline: examSessionDisciplineEl.value,
+        examDate: examSessionDateEl.value,
+        startTime: examSessionStartTimeEl.value,
+        location: examSessionLocationEl.value,
+        targetGrades: Array.from(examSessionTargetGradesEl.selectedOptions).map((option) => option.value),
+        notes: examSessionNotesEl.value
+      }, 'Failed to save exam session.');
+      if (!result) return;
+      populateExamSessionForm(null);
+      showExamMessage('ok', result.message || 'Exam session saved.');
+      await loadData();
+    } catch (error) {
+      showExamMessage('error', error.message);
+    }
+  }
+
+  async function runExamAction(url, payload, fallbackError) {
+    try {
+      const result = await postExamAction(url, payload, fallbackError);
+      if (!result) return;
+      showExamMessage('ok', result.message || 'Done.');
+      await loadData();
+    } catch (error) {
+      showExamMessage('error', error.message);
+    }
+  }
+
+  function collectExamResults(sessionEl) {
+    return Array.from(sessionEl.querySelectorAll('tr[data-exam-candidate-id]')).map((row) => ({
+      candidateId: row.getAttribute('data-exam-candidate-id'),
+      result: row.querySelector('.js-exam-result')?.value || 'PENDING',
+      notes: row.querySelector('.js-exam-result-notes')?.value || ''
+    }));
+  }
+
+  function showCertificateMessage(type, text) {
+    if (!certificateMessageEl) return;
+    certificateMessageEl.className = `notice ${type}`;
+    certificateMessageEl.textContent = text;
+  }
+
+  function renderCertificates(data) {
+    const participants = Array.isArray(data?.participants) ? data.participants : [];
+    const unsentCount = Number(data?.unsentCount || 0);
+    if (certificateMetaEl) {
+      const issuedCount = participants.filter((item) => item.certificateNumber).length;
+      certificateMetaEl.textContent = data?.available
+        ? `Paid participants: ${participants.length}, certificates issued: ${issuedCount}, not emailed yet: ${unsentCount}.`
+        : `Certificates can be issued from ${data?.availableFrom || '-'}. Paid participants: ${participants.length}.`;
+    }
+    if (sendCertificatesBtn) {
+      sendCertificatesBtn.disabled = !data?.available || unsentCount === 0;
+      sendCertificatesBtn.textContent = `Email certificates (${unsentCount})`;
+    }
+    if (!certificateRowsEl) return;
+    if (!participants.length) {
+      certificateRowsEl.innerHTML = '<tr><td colspan="6">No paid participants yet.</td></tr>';
+      return;
+    }
+    certificateRowsEl.innerHTML = participants
+      .map((item) => `
+        <tr>
+          <td>${escapeHtml(item.fullName || '-')}<br /><span class="helper">${escapeHtml(item.email || '-')}</span></td>
+          <td>${escapeHtml(item.packageLabel || '-')}${item.attendanceDayLabel ? `<br /><span class="helper">${escapeHtml(item.attendanceDayLabel)}</span>` : ''}</td>
+          <td>${item.certificateNumber ? `<a href="/verify/${encodeURIComponent(item.certificateNumber)}" target="_blank" rel="noopener">${escapeHtml(item.certificateNumber)}</a>` : '-'}${item.issuedAt ? `<br /><span class="helper">Issued ${formatDateTime(item.issuedAt)}</span>` : ''}</td>
+          <td>${item.emailSentAt ? formatDateTime(item.emailSentAt) : '-'}</td>
+          <td>${Number(item.downloadCount || 0)}</td>
+          <td>
+            <button class="btn secondary btn-small js-send-certificate" data-registration-id="${escapeHtml(item.registrationId)}" type="button"${data.available ? '' : ' disabled'}>${item.emailSentAt ? 'Resend' : 'Send'}</button>
+            <button class="btn secondary btn-small js-download-certificate" data-registration-id="${escapeHtml(item.registrationId)}" type="button"${data.available ? '' : ' disabled'}>PDF</button>
+          </td>
+        </tr>
+      `)
+      .join('');
+  }
+
+  async function sendCertificates(registrationId) {
+    try {
+      const response = await fetch('/api/admin/certificates/send', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(registrationId ? { registrationId } : {})
+      });
+      const result = await readJsonResponseOrThrow(response);
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not send certificate emails.');
+      }
+      showCertificateMessage(result.failures && result.failures.length ? 'error' : 'ok', result.message || 'Certificate emails sent.');
+      await loadData();
+    } catch (error) {
+      showCertificateMessage('error', error.message);
+    }
+  }
+
+  async function downloadCertificate(registrationId) {
+    try {
+      const response = await fetch(`/api/admin/certificates/download?registrationId=${encodeURIComponent(registrationId)}`);
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+      if (!response.ok) {
+        const result = await readJsonResponseOrThrow(response);
+        throw new Error(result.error || 'Certificate generation failed.');
+      }
+      await downloadResponseFile(response, 'certificate.pdf');
+      await loadData();
+    } catch (error) {
+      showCertificateMessage('error', error.message);
+    }
+  }
+
+  async function exportExamResultsCsv(sessionId) {
+    try {
+      const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+      const response = await fetch(`/api/admin/exams/results/export.csv${query}`);
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+      if (!response.ok) {
+        throw new Error('Exam results CSV export failed.');
+      }
+      await downloadResponseFile(response, 'exam-results.csv');
+    } catch (error) {
+      showExamMessage('error', error.message);
+    }
+  }
+
+  async function downloadExamScoringSheets(sessionId) {
+    try {
+      const response = await fetch(`/api/admin/exams/sessions/scoring-sheets.pdf?sessionId=${encodeURIComponent(sessionId)}`);
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+      if (!response.ok) {
+        const result = await readJsonResponseOrThrow(response);
+        throw new Error(result.error || 'Scoring sheet generation failed.');
+      }
+      await downloadResponseFile(response, 'exam-scoring-sheets.pdf');
+    } catch (error) {
+      showExamMessage('error', error.message);
+    }
+  }
+
+  async function downloadResponseFile(response, fallbackFileName) {
+    const blob = await response.blob();
+    const contentDisposition = response.headers.get('Content-Disposition') || '';
+    const match = contentDisposition.match(/filename=\"?([^\";]+)\"?/i);
+    const fileName = match && match[1] ? match[1] : fallbackFileName;
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
   }
 
   function filterSayonaraOrders() {
@@ -925,7 +2272,7 @@
       const email = String(item.email || '').trim();
       const hasMainSayonaraSelection = Boolean(item.sayonaraAttending);
       const hasSeparateSayonaraOrder = Boolean(item.hasSayonaraOrder);
-      return status === 'PAID' && email.length > 0 && !hasMainSayonaraSelection && !hasSeparateSayonaraOrder;
+      return SETTLED_STATUSES.has(status) && email.length > 0 && !hasMainSayonaraSelection && !hasSeparateSayonaraOrder;
     });
   }
 
@@ -1223,8 +2570,10 @@
       }
 
       if (tier === 'earlyBird') {
+        earlyBirdPrices[group] = earlyBirdPrices[group] || {};
         earlyBirdPrices[group][code] = Math.round(numeric * 100) / 100;
       } else {
+        prices[group] = prices[group] || {};
         prices[group][code] = Math.round(numeric * 100) / 100;
       }
     });
@@ -1265,7 +2614,7 @@
 
   async function loadData() {
     try {
-      const [statsRes, regsRes, pricingRes, emailTemplateRes, invoicesRes, emailJobRes, cateringOrdersRes, sayonaraOrdersRes] = await Promise.all([
+      const [statsRes, regsRes, pricingRes, emailTemplateRes, invoicesRes, emailJobRes, cateringOrdersRes, sayonaraOrdersRes, registrationGroupsRes, refundsRes, disputesRes, stripeEventsRes, stripeReconciliationRes, promoCodesRes, bankTransactionsRes, invoiceRetriesRes, capacityRes, cancellationPolicyRes, duplicatesRes, examsRes, certificatesRes] = await Promise.all([
         fetch('/api/stats'),
         fetch('/api/registrations'),
         fetch('/api/admin/pricing'),
@@ -1273,7 +2622,20 @@
         fetch('/api/admin/invoices?limit=500'),
         fetch('/api/admin/email/job'),
         fetch('/api/admin/catering-orders'),
-        fetch('/api/admin/sayonara-orders')
+        fetch('/api/admin/sayonara-orders'),
+        fetch('/api/admin/registration-groups'),
+        fetch('/api/admin/refunds?limit=500'),
+        fetch('/api/admin/disputes?limit=500'),
+        fetch('/api/admin/stripe-events?status=FAILED&limit=200'),
+        fetch('/api/admin/stripe-reconciliation?limit=20'),
+        fetch('/api/admin/promo-codes'),
+        fetch('/api/admin/bank-transactions'),
+        fetch('/api/admin/invoice-retries'),
+        fetch('/api/admin/capacity'),
+        fetch('/api/admin/cancellation-policy'),
+        fetch('/api/admin/duplicates'),
+        fetch('/api/admin/exams'),
+        fetch('/api/admin/certificates')
       ]);
 
       if (
@@ -1284,7 +2646,20 @@
         invoicesRes.status === 401 ||
         emailJobRes.status === 401 ||
         cateringOrdersRes.status === 401 ||
-        sayonaraOrdersRes.status === 401
+        sayonaraOrdersRes.status === 401 ||
+        registrationGroupsRes.status === 401 ||
+        refundsRes.status === 401 ||
+        disputesRes.status === 401 ||
+        stripeEventsRes.status === 401 ||
+        stripeReconciliationRes.status === 401 ||
+        promoCodesRes.status === 401 ||
+        bankTransactionsRes.status === 401 ||
+        invoiceRetriesRes.status === 401 ||
+        capacityRes.status === 401 ||
+        cancellationPolicyRes.status === 401 ||
+        duplicatesRes.status === 401 ||
+        examsRes.status === 401 ||
+        certificatesRes.status === 401
       ) {
         window.location.href = '/admin';
         return;
@@ -1298,8 +2673,21 @@
       const emailJobData = await readJsonResponseOrThrow(emailJobRes);
       const cateringOrdersData = await cateringOrdersRes.json();
       const sayonaraOrdersData = await sayonaraOrdersRes.json();
-
-      if (!statsRes.ok || !regsRes.ok || !pricingRes.ok || !emailTemplateRes.ok || !invoicesRes.ok || !emailJobRes.ok || !cateringOrdersRes.ok || !sayonaraOrdersRes.ok) {
+      const registrationGroupsData = await registrationGroupsRes.json();
+      const refundsData = await refundsRes.json();
+      const disputesData = await disputesRes.json();
+      const stripeEventsData = await stripeEventsRes.json();
+      const stripeReconciliationData = await stripeReconciliationRes.json();
+      const promoCodesData = await promoCodesRes.json();
+      const bankTransactionsData = await bankTransactionsRes.json();
+      const invoiceRetriesData = await invoiceRetriesRes.json();
+      const capacityData = await capacityRes.json();
+      const cancellationPolicyData = await cancellationPolicyRes.json();
+      const duplicatesData = await duplicatesRes.json();
+      const examsData = await examsRes.json();
+      const certificatesData = await certificatesRes.json();
+
+      if (!statsRes.ok || !regsRes.ok || !pricingRes.ok || !emailTemplateRes.ok || !invoicesRes.ok || !emailJobRes.ok || !cateringOrdersRes.ok || !sayonaraOrdersRes.ok || !registrationGroupsRes.ok || !refundsRes.ok || !disputesRes.ok || !stripeEventsRes.ok || !stripeReconciliationRes.ok || !promoCodesRes.ok || !bankTransactionsRes.ok || !invoiceRetriesRes.ok || !capacityRes.ok || !cancellationPolicyRes.ok || !duplicatesRes.ok || !examsRes.ok || !certificatesRes.ok) {
         throw new Error('API error while loading admin data.');
       }
 
@@ -1313,6 +2701,8 @@
       });
       filterRegistrations();
       populatePricingForm(pricingData.settings || {});
+      renderCapacity(capacityData);
+      renderCancellationPolicy(cancellationPolicyData);
       emailTemplates = Array.isArray(emailTemplateData.templates) ? emailTemplateData.templates : [];
       emailCapabilities = emailTemplateData.capabilities || { provider: 'disabled', maxRecipients: 0 };
       populateEmailTemplates(emailTemplates);
@@ -1320,12 +2710,33 @@
       setEmailSelectionControlsState();
       allInvoices = Array.isArray(invoicesData.invoices) ? invoicesData.invoices : [];
       filterInvoices();
+      invoiceRetryJobs = Array.isArray(invoiceRetriesData.jobs) ? invoiceRetriesData.jobs : [];
+      renderInvoiceRetryJobs(invoiceRetryJobs, invoiceRetriesData.counts, invoiceRetriesData.scheduler);
+      allRefunds = Array.isArray(refundsData.refunds) ? refundsData.refunds : [];
+      renderRefundRows(allRefunds);
+      allDisputes = Array.isArray(disputesData.disputes) ? disputesData.disputes : [];
+      renderDisputeRows(allDisputes);
+      failedStripeEvents = Array.isArray(stripeEventsData.events) ? stripeEventsData.events : [];
+      renderStripeEventRows(failedStripeEvents, stripeEventsData.counts);
+      stripeReconciliationRuns = Array.isArray(stripeReconciliationData.runs) ? stripeReconciliationData.runs : [];
+      renderStripeReconciliation(stripeReconciliationRuns, stripeReconciliationData.scheduler);
+      allPromoCodes = Array.isArray(promoCodesData.promoCodes) ? promoCodesData.promoCodes : [];
+      renderPromoCodeRows(allPromoCodes);
+      openBankTransactions = Array.isArray(bankTransactionsData.transactions) ? bankTransactionsData.transactions : [];
+      renderBankTransactionRows(openBankTransactions, bankTransactionsData.counts);
       allCateringOrders = Array.isArray(cateringOrdersData.orders) ? cateringOrdersData.orders : [];
       filterCateringOrders();
       updateCateringInviteControls();
       allSayonaraOrders = Array.isArray(sayonaraOrdersData.orders) ? sayonaraOrdersData.orders : [];
       filterSayonaraOrders();
       updateSayonaraInviteControls();
+      allRegistrationGroups = Array.isArray(registrationGroupsData.groups) ? registrationGroupsData.groups : [];
+      renderRegistrationGroupRows(allRegistrationGroups);
+      duplicatePairs = Array.isArray(duplicatesData.duplicates) ? duplicatesData.duplicates : [];
+      renderDuplicateRows(duplicatePairs);
+      examSessions = Array.isArray(examsData.sessions) ? examsData.sessions : [];
+      renderExamSessions(examSessions, examsData.unassigned);
+      renderCertificates(certificatesData);
       applyEmailJobState(emailJobData.job || null, Array.isArray(emailJobData.deliveries) ? emailJobData.deliveries : []);
 
       if (emailCapabilities.provider === 'disabled') {
@@ -1337,8 +2748,18 @@
       rowsEl.innerHTML = '<tr><td colspan="7">Failed to load data.</td></tr>';
       allRegistrations = [];
       allInvoices = [];
+      allRefunds = [];
+      allDisputes = [];
+      failedStripeEvents = [];
+      stripeReconciliationRuns = [];
+      invoiceRetryJobs = [];
+      allPromoCodes = [];
+      openBankTransactions = [];
       allCateringOrders = [];
       allSayonaraOrders = [];
+      allRegistrationGroups = [];
+      duplicatePairs = [];
+      examSessions = [];
       updateSearchMeta(0, 0, '', '');
       updateInvoiceSearchMeta(0, 0, '');
       updateCateringOrderSearchMeta(0, 0, '', '');
@@ -1352,11 +2773,44 @@
       if (invoiceRowsEl) {
         invoiceRowsEl.innerHTML = '<tr><td colspan="8">Failed to load invoice records.</td></tr>';
       }
+      if (invoiceRetryRowsEl) {
+        invoiceRetryRowsEl.innerHTML = '<tr><td colspan="8">Failed to load the invoice retry queue.</td></tr>';
+      }
+      if (waitlistRowsEl) {
+        waitlistRowsEl.innerHTML = '<tr><td colspan="6">Failed to load the waiting list.</td></tr>';
+      }
+      if (refundRowsEl) {
+        refundRowsEl.innerHTML = '<tr><td colspan="7">Failed to load refunds.</td></tr>';
+      }
+      if (disputeRowsEl) {
+        disputeRowsEl.innerHTML = '<tr><td colspan="7">Failed to load disputes.</td></tr>';
+      }
+      if (stripeEventRowsEl) {
+        stripeEventRowsEl.innerHTML = '<tr><td colspan="6">Failed to load webhook events.</td></tr>';
+      }
+      if (stripeReconciliationRunRowsEl) {
+        stripeReconciliationRunRowsEl.innerHTML = '<tr><td colspan="7">Failed to load reconciliation runs.</td></tr>';
+      }
+      if (promoCodeRowsEl) {
+        promoCodeRowsEl.innerHTML = '<tr><td colspan="7">Failed to load promo codes.</td></tr>';
+      }
       if (cateringOrderRowsEl) {
         cateringOrderRowsEl.innerHTML = '<tr><td colspan="7">Failed to load catering orders.</td></tr>';
       }
-      if (sayonaraOrderRowsEl) {
-        sayonaraOrderRowsEl.innerHTML = '<tr><td colspan="7">Failed to load Sayonara orders.</td></tr>';
+      if (sayonaraOrderRowsEl) {
+        sayonaraOrderRowsEl.innerHTML = '<tr><td colspan="7">Failed to load Sayonara orders.</td></tr>';
+      }
+      if (registrationGroupRowsEl) {
+        registrationGroupRowsEl.innerHTML = '<tr><td colspan="7">Failed to load group registrations.</td></tr>';
+      }
+      if (duplicateRowsEl) {
+        duplicateRowsEl.innerHTML = '<tr><td colspan="4">Failed to load possible duplicates.</td></tr>';
+      }
+      if (examSessionListEl) {
+        examSessionListEl.innerHTML = '<div class="notice error">Failed to load exam sessions.</div>';
+      }
+      if (certificateRowsEl) {
+        certificateRowsEl.innerHTML = '<tr><td colspan="6">Failed to load certificates.</td></tr>';
       }
       showEmailMessage('error', 'Failed to load email sender data.');
       if (emailJobStatusEl) {
@@ -1395,6 +2849,52 @@
     }
   }
 
+  async function cancelRegistrationWithRefund(registrationId) {
+    try {
+      const quoteResponse = await fetch(`/api/admin/registrations/cancellation-quote?registrationId=${encodeURIComponent(registrationId)}`);
+      if (quoteResponse.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+      const quoteResult = await readJsonResponseOrThrow(quoteResponse);
+      if (!quoteResponse.ok) {
+        throw new Error(quoteResult.error || 'Failed to load cancellation quote.');
+      }
+
+      const quote = quoteResult.quote || {};
+      const refundAmount = window.prompt(
+        `Cancel this registration?\nPolicy refund: ${quote.refundPercent}% = ${formatCurrency(Number(quote.refundAmount || 0), quote.currency || 'EUR')} (refundable balance ${formatCurrency(Number(quote.refundableBalance || 0), quote.currency || 'EUR')}).\nRefund amount:`,
+        String(quote.refundAmount ?? 0)
+      );
+      if (refundAmount === null) return;
+      const reason = window.prompt('Cancellation reason (optional):', '');
+      if (reason === null) return;
+
+      const response = await fetch('/api/admin/registrations/cancel', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ registrationId, refundAmount, reason })
+      });
+
+      const result = await readJsonResponseOrThrow(response);
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to cancel registration.');
+      }
+
+      window.alert(result.message || 'Registration cancelled.');
+      await loadData();
+    } catch (error) {
+      window.alert(error.message);
+    }
+  }
+
   async function anonymize(registrationId) {
     const shouldProceed = window.confirm('Are you sure you want to anonymize this registration? This permanently removes personal data.');
     if (!shouldProceed) return;
@@ -1509,6 +3009,45 @@
     openEmailModal(registration);
   }
 
+  function transferRegistration(registrationId) {
+    const registration = allRegistrations.find((item) => item.id === registrationId);
+    if (!registration) {
+      window.alert('Registration not found in the current admin view.');
+      return;
+    }
+    const pendingTransfer = (registration.transfers || []).find((transfer) => transfer.status === 'REQUESTED');
+    openTransferModal(registration, pendingTransfer || null);
+  }
+
+  async function rejectTransferRequest(transferId) {
+    const note = window.prompt('Reject this transfer request? Internal note (optional):', '');
+    if (note === null) return;
+
+    try {
+      const response = await fetch('/api/admin/registrations/reject-transfer', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ transferId, note })
+      });
+
+      const result = await readJsonResponseOrThrow(response);
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to reject transfer request.');
+      }
+
+      await loadData();
+    } catch (error) {
+      window.alert(error.message);
+    }
+  }
+
   async function logout() {
     try {
       await fetch('/api/admin/logout', { method: 'POST' });
@@ -1534,27 +3073,336 @@
         throw new Error('CSV export failed.');
       }
 
-      const blob = await response.blob();
-      const contentDisposition = response.headers.get('Content-Disposition') || '';
-      const match = contentDisposition.match(/filename=\"?([^\";]+)\"?/i);
-      const fileName = match && match[1] ? match[1] : 'registrations.csv';
+      const blob = await response.blob();
+      const contentDisposition = response.headers.get('Content-Disposition') || '';
+      const match = contentDisposition.match(/filename=\"?([^\";]+)\"?/i);
+      const fileName = match && match[1] ? match[1] : 'registrations.csv';
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      window.alert(error.message);
+    } finally {
+      if (exportCsvBtn) {
+        exportCsvBtn.disabled = false;
+        exportCsvBtn.textContent = 'Export CSV';
+      }
+    }
+  }
+
+  async function loadInvoiceReconciliation() {
+    if (invoiceReconciliationBtn) {
+      invoiceReconciliationBtn.disabled = true;
+      invoiceReconciliationBtn.textContent = 'Building report...';
+    }
+
+    try {
+      const issuesOnly = Boolean(invoiceReconciliationIssuesOnlyEl?.checked);
+      const response = await fetch(`/api/admin/invoice-reconciliation${issuesOnly ? '?issuesOnly=true' : ''}`);
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      const report = await readJsonResponseOrThrow(response);
+      if (!response.ok) {
+        throw new Error(report.error || 'Could not build the reconciliation report.');
+      }
+      renderInvoiceReconciliation(report);
+    } catch (error) {
+      if (invoiceReconciliationMetaEl) {
+        invoiceReconciliationMetaEl.textContent = error.message;
+      }
+    } finally {
+      if (invoiceReconciliationBtn) {
+        invoiceReconciliationBtn.disabled = false;
+        invoiceReconciliationBtn.textContent = 'Build report';
+      }
+    }
+  }
+
+  async function exportInvoiceReconciliationCsv() {
+    if (invoiceReconciliationExportBtn) {
+      invoiceReconciliationExportBtn.disabled = true;
+      invoiceReconciliationExportBtn.textContent = 'Exporting...';
+    }
+
+    try {
+      const response = await fetch('/api/admin/invoice-reconciliation/export.csv');
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error('CSV export failed.');
+      }
+
+      const blob = await response.blob();
+      const contentDisposition = response.headers.get('Content-Disposition') || '';
+      const match = contentDisposition.match(/filename=\"?([^\";]+)\"?/i);
+      const fileName = match && match[1] ? match[1] : 'invoice-reconciliation.csv';
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      window.alert(error.message);
+    } finally {
+      if (invoiceReconciliationExportBtn) {
+        invoiceReconciliationExportBtn.disabled = false;
+        invoiceReconciliationExportBtn.textContent = 'Export CSV';
+      }
+    }
+  }
+
+  async function runStripeReconciliationNow() {
+    if (runStripeReconciliationBtn) {
+      runStripeReconciliationBtn.disabled = true;
+      runStripeReconciliationBtn.textContent = 'Checking Stripe...';
+    }
+    showStripeReconciliationMessage('ok', 'Checking pending payments on Stripe...');
+
+    try {
+      const response = await fetch('/api/admin/stripe-reconciliation/run', { method: 'POST' });
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      const result = await readJsonResponseOrThrow(response);
+      if (!response.ok) {
+        throw new Error(result.error || 'Reconciliation failed.');
+      }
+
+      showStripeReconciliationMessage(result?.run?.status === 'SUCCESS' ? 'ok' : 'error', result.message || 'Reconciliation finished.');
+      await loadData();
+    } catch (error) {
+      showStripeReconciliationMessage('error', error.message);
+    } finally {
+      if (runStripeReconciliationBtn) {
+        runStripeReconciliationBtn.disabled = false;
+        runStripeReconciliationBtn.textContent = 'Run reconciliation now';
+      }
+    }
+  }
+
+  async function runInvoiceRetries(jobId) {
+    if (runInvoiceRetriesBtn) {
+      runInvoiceRetriesBtn.disabled = true;
+      runInvoiceRetriesBtn.textContent = 'Retrying...';
+    }
+    showInvoiceRetryMessage('ok', 'Retrying failed invoices on Szamlazz.hu...');
+
+    try {
+      const response = await fetch('/api/admin/invoice-retries/run', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(jobId ? { jobId } : {})
+      });
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      const result = await readJsonResponseOrThrow(response);
+      if (!response.ok) {
+        throw new Error(result.error || 'Invoice retry failed.');
+      }
+
+      const hasFailures = Number(result?.run?.failedCount || 0) > 0;
+      showInvoiceRetryMessage(hasFailures ? 'error' : 'ok', result.message || 'Invoice retry finished.');
+      await loadData();
+    } catch (error) {
+      showInvoiceRetryMessage('error', error.message);
+    } finally {
+      if (runInvoiceRetriesBtn) {
+        runInvoiceRetriesBtn.disabled = false;
+        runInvoiceRetriesBtn.textContent = 'Retry due invoices now';
+      }
+    }
+  }
+
+  function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(new Error('Could not read the selected file.'));
+      reader.readAsText(file);
+    });
+  }
+
+  async function importBankStatement() {
+    const file = bankStatementFileEl && bankStatementFileEl.files ? bankStatementFileEl.files[0] : null;
+    if (!file) {
+      showBankStatementMessage('error', 'Please choose a bank statement file first.');
+      return;
+    }
+
+    if (importBankStatementBtn) {
+      importBankStatementBtn.disabled = true;
+      importBankStatementBtn.textContent = 'Importing...';
+    }
+
+    try {
+      const content = await readFileAsText(file);
+      const response = await fetch('/api/admin/bank-statements/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ fileName: file.name, content })
+      });
+      if (response.status === 401) {
+        window.location.href = '/admin';
+        return;
+      }
+
+      const result = await readJsonResponseOrThrow(response);
+      if (!response.ok) {
+        throw new Error(result.error || 'Bank statement import failed.');
+      }
+
+      showBankStatementMessage('ok', result.message || 'Bank statement imported.');
+      if (bankStatementFileEl) bankStatementFileEl.value = '';
+      await loadData();
+    } catch (error) {
+      showBankStatementMessage('error', error.message);
+    } finally {
+      if (importBankStatementBtn) {
+        importBankStatementBtn.disabled = false;
+        importBankStatementBtn.textContent = 'Import statement';
+      }
+    }
+  }
+
+  async function confirmBankTransactions(payload, confirmText) {
+    const shouldProceed = window.confirm(confirmText);
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/bank-transactions/confirm', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Could not confirm the bank transaction.');
+    }
+
+    const failures = (Array.isArray(result.results) ? result.results : [])
+      .filter((item) => !item.ok || item.invoiceError)
+      .map((item) => `${item.transactionId}: ${item.error || `invoice failed: ${item.invoiceError}`}`);
+    showBankStatementMessage(failures.length ? 'error' : 'ok', [result.message || 'Bank transaction confirmed.'].concat(failures).join(' '));
+    await loadData();
+  }
+
+  async function assignBankTransaction(transactionId) {
+    const transaction = openBankTransactions.find((item) => item.id === transactionId);
+    if (!transaction) return;
+    const registrationId = window.prompt(
+      `Payment reference or registration ID to assign ${formatCurrency(Number(transaction.amount || 0), transaction.currency || 'EUR')} from ${transaction.counterpartyName || 'unknown payer'} to:`,
+      transaction.registration ? transaction.registration.paymentReference || transaction.registration.id : ''
+    );
+    if (registrationId === null || !registrationId.trim()) return;
+    await confirmBankTransactions(
+      { transactionId, registrationId: registrationId.trim() },
+      `Mark registration ${registrationId.trim()} as PAID on ${transaction.bookingDate}?`
+    );
+  }
+
+  async function ignoreBankTransaction(transactionId) {
+    const shouldProceed = window.confirm('Ignore this bank transaction? It will no longer be offered for matching.');
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/bank-transactions/ignore', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ transactionId })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Could not ignore the bank transaction.');
+    }
+
+    showBankStatementMessage('ok', result.message || 'Bank transaction ignored.');
+    await loadData();
+  }
+
+  async function mergeDuplicateRegistration(survivorId, duplicateId) {
+    const pair = duplicatePairs.find((item) => item.registrations.some((registration) => registration.id === duplicateId));
+    const survivor = pair?.registrations.find((registration) => registration.id === survivorId);
+    const duplicate = pair?.registrations.find((registration) => registration.id === duplicateId);
+    if (!survivor || !duplicate) {
+      throw new Error('Registration pair not found in the current admin view. Please refresh the list.');
+    }
+    const shouldProceed = window.confirm(`Keep ${survivor.fullName} (${survivor.status}) and merge ${duplicate.fullName} (${duplicate.status}) into it? Lunch and Sayonara orders and access tokens are moved, and the merged registration is set to DELETED.`);
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/registrations/merge', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ survivorId, duplicateId })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Could not merge the registrations.');
+    }
+
+    showDuplicateMessage('ok', result.message || 'Registrations merged.');
+    await loadData();
+  }
 
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = fileName;
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      URL.revokeObjectURL(url);
-    } catch (error) {
-      window.alert(error.message);
-    } finally {
-      if (exportCsvBtn) {
-        exportCsvBtn.disabled = false;
-        exportCsvBtn.textContent = 'Export CSV';
-      }
+  async function dismissDuplicatePair(firstRegistrationId, secondRegistrationId) {
+    const response = await fetch('/api/admin/duplicates/dismiss', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ firstRegistrationId, secondRegistrationId })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Could not dismiss the pair.');
     }
+
+    showDuplicateMessage('ok', result.message || 'Pair dismissed.');
+    await loadData();
   }
 
   async function createBackupNow() {
@@ -1633,6 +3481,53 @@
     window.alert(message);
   }
 
+  async function sendGuardianConsentEmail(registrationId) {
+    const response = await fetch('/api/admin/registrations/send-guardian-consent-email', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ registrationId })
+    });
+
+    const result = await response.json();
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to send parental consent email.');
+    }
+
+    const email = String(result.email || '').trim();
+    const expiresAt = String(result.expiresAt || '').trim();
+    window.alert(`${result.message || 'Parental consent email sent.'}${email ? `\nRecipient: ${email}` : ''}${expiresAt ? `\nLink expires at: ${expiresAt}` : ''}`);
+  }
+
+  async function sendSelfServiceLink(registrationId) {
+    const response = await fetch('/api/admin/registrations/send-self-service-link', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ registrationId })
+    });
+
+    const result = await response.json();
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to send self-service link.');
+    }
+
+    const expiresAt = String(result.expiresAt || '').trim();
+    window.alert(`${result.message || 'Self-service link sent.'}${expiresAt ? `\nLink expires at: ${expiresAt}` : ''}`);
+  }
+
   async function sendCateringInviteEmail(registrationId) {
     const response = await fetch('/api/admin/registrations/send-catering-invite-email', {
       method: 'POST',
@@ -2000,35 +3895,295 @@
     await loadData();
   }
 
-  async function deleteSayonaraOrder(entityType, entityId) {
-    const shouldProceed = window.confirm(
-      entityType === 'sayonara_guest_order'
-        ? 'Delete this unpaid Sayonara +1 order? This will also revoke existing Sayonara +1 access links for this registration and expire the stored Stripe checkout session.'
-        : 'Delete this unpaid Sayonara order? This will also revoke existing Sayonara access links for this registration and expire the stored Stripe checkout session.'
+  async function deleteSayonaraOrder(entityType, entityId) {
+    const shouldProceed = window.confirm(
+      entityType === 'sayonara_guest_order'
+        ? 'Delete this unpaid Sayonara +1 order? This will also revoke existing Sayonara +1 access links for this registration and expire the stored Stripe checkout session.'
+        : 'Delete this unpaid Sayonara order? This will also revoke existing Sayonara access links for this registration and expire the stored Stripe checkout session.'
+    );
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/sayonara-orders/delete', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ entityType, entityId })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to delete Sayonara order.');
+    }
+    window.alert(result.message || 'Sayonara order deleted.');
+    await loadData();
+  }
+
+  function findRefundableItem(entityType, entityId) {
+    if (entityType === 'registration') {
+      return allRegistrations.find((item) => String(item.id || '') === entityId) || null;
+    }
+    if (entityType === 'catering_order') {
+      return allCateringOrders.find((item) => String(item.id || '') === entityId) || null;
+    }
+    if (entityType === 'registration_group') {
+      return allRegistrationGroups.find((item) => String(item.id || '') === entityId) || null;
+    }
+    return findSayonaraOrder(entityType, entityId);
+  }
+
+  async function refundPayment(entityType, entityId) {
+    const item = findRefundableItem(entityType, entityId);
+    if (!item) {
+      window.alert('Payment not found in the current admin view. Please refresh the list.');
+      return;
+    }
+
+    const currency = item.currency || 'EUR';
+    const grossAmount = Number(item.amount ?? item.amountHuf ?? 0);
+    const remainingAmount = Math.max(0, Math.round((grossAmount - Number(item.refundedAmount || 0)) * 100) / 100);
+    const rawAmount = window.prompt(
+      `Refund amount (${currency}). Leave empty to refund the full remaining ${formatCurrency(remainingAmount, currency)}.`,
+      ''
+    );
+    if (rawAmount === null) return;
+
+    const amountText = String(rawAmount).trim();
+    const refundAmount = amountText ? Number(amountText.replace(',', '.')) : remainingAmount;
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      window.alert('Please enter a positive refund amount.');
+      return;
+    }
+
+    const note = window.prompt('Internal note for this refund (optional).', '');
+    if (note === null) return;
+
+    const shouldProceed = window.confirm(
+      `Refund ${formatCurrency(refundAmount, currency)} to the original card via Stripe? This cannot be undone.`
+    );
+    if (!shouldProceed) return;
+
+    const attemptId = window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const response = await fetch('/api/admin/refunds/create', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        entityType,
+        entityId,
+        amount: amountText,
+        reason: 'requested_by_customer',
+        note,
+        attemptId
+      })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Refund failed.');
+    }
+
+    const lines = [
+      result.message || 'Refund created.',
+      `Status: ${result.status || '-'}`,
+      `Refunded so far: ${formatCurrency(Number(result.refundedAmount || 0), result.currency || currency)}`,
+      `Remaining: ${formatCurrency(Number(result.remainingAmount || 0), result.currency || currency)}`,
+      `Stripe refund: ${result?.refund?.stripeRefundId || '-'} (${result?.refund?.status || '-'})`
+    ];
+    window.alert(lines.join('\n'));
+    await loadData();
+  }
+
+  async function stornoInvoice(entityType, entityId, invoiceNumber) {
+    if (!entityType || !entityId) return;
+    const reason = window.prompt(`Reason for cancelling invoice ${invoiceNumber} (for example: refund, billing data correction).`, '');
+    if (reason === null) return;
+
+    const shouldProceed = window.confirm(
+      `Issue a storno invoice for ${invoiceNumber} on Szamlazz.hu? The original invoice is cancelled and this cannot be undone.`
+    );
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/invoices/storno', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ entityType, entityId, reason })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Storno failed.');
+    }
+
+    window.alert(result.message || 'Storno invoice created.');
+    await loadData();
+  }
+
+  async function reissueInvoice(entityType, entityId) {
+    if (!entityType || !entityId) return;
+    const shouldProceed = window.confirm(
+      'Create a corrected invoice from the current billing data? Update the billing details first if they were wrong.'
+    );
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/invoices/reissue', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ entityType, entityId })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Invoice reissue failed.');
+    }
+
+    window.alert(result.message || 'Corrected invoice created.');
+    await loadData();
+  }
+
+  async function sendInvoicePdfLink(entityType, entityId, invoiceNumber) {
+    if (!entityType || !entityId) return;
+    const shouldProceed = window.confirm(`Email a download link for invoice ${invoiceNumber} to the participant?`);
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/invoices/send-pdf-link', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ entityType, entityId })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Sending the invoice link failed.');
+    }
+
+    window.alert(result.message || 'Invoice link sent.');
+    await loadData();
+  }
+
+  async function replayStripeEvent(eventId) {
+    const shouldProceed = window.confirm(`Replay Stripe event ${eventId}? The payment sync and invoice creation run again.`);
+    if (!shouldProceed) return;
+
+    const response = await fetch('/api/admin/stripe-events/replay', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ eventId })
+    });
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Replay failed.');
+    }
+
+    window.alert(result.message || 'Event replayed.');
+    await loadData();
+  }
+
+  async function checkStripePayment(registrationId) {
+    const response = await fetch('/api/admin/registrations/check-stripe-payment', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ registrationId })
+    });
+
+    const result = await readJsonResponseOrThrow(response);
+    if (response.status === 401) {
+      window.location.href = '/admin';
+      return;
+    }
+    if (!response.ok) {
+      throw new Error(result.error || 'Stripe payment check failed.');
+    }
+
+    const lines = [
+      result.message || 'Stripe payment check completed.',
+      `Registration ID: ${result.registrationId || registrationId}`,
+      `Registration status: ${result.registrationStatus || '-'}`,
+      `Stripe payment status: ${result?.stripe?.paymentStatus || '-'}`,
+      `Stripe checkout status: ${result?.stripe?.checkoutStatus || '-'}`,
+      `Stripe session: ${result?.stripe?.sessionId || '-'}`
+    ];
+    if (result?.invoice?.id || result?.invoice?.invoiceNumber) {
+      lines.push(`Invoice: ${result.invoice.invoiceNumber || result.invoice.id} (${result.invoice.status || 'ok'})`);
+    }
+    if (result?.invoiceWarning) {
+      lines.push(`Invoice warning: ${result.invoiceWarning}`);
+    }
+
+    window.alert(lines.join('\n'));
+    await loadData();
+  }
+
+  async function markTransferPaid(registrationId) {
+    const item = allRegistrations.find((registration) => String(registration.id) === String(registrationId));
+    const label = item ? `${item.fullName} (${item.paymentReference || registrationId})` : registrationId;
+    const rawDate = window.prompt(
+      `Mark the bank transfer of ${label} as received.\nBooking date (YYYY-MM-DD). Leave empty for today.`,
+      ''
     );
-    if (!shouldProceed) return;
+    if (rawDate === null) return;
+    const paidAt = String(rawDate).trim();
+    if (paidAt && !/^\d{4}-\d{2}-\d{2}$/.test(paidAt)) {
+      throw new Error('Booking date must use the YYYY-MM-DD format.');
+    }
 
-    const response = await fetch('/api/admin/sayonara-orders/delete', {
+    const response = await fetch('/api/admin/registrations/mark-transfer-paid', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ entityType, entityId })
+      body: JSON.stringify({ registrationId, paidAt: paidAt ? `${paidAt}T12:00:00.000Z` : '' })
     });
+
     const result = await readJsonResponseOrThrow(response);
     if (response.status === 401) {
       window.location.href = '/admin';
       return;
     }
     if (!response.ok) {
-      throw new Error(result.error || 'Failed to delete Sayonara order.');
+      throw new Error(result.error || 'Could not mark the transfer as received.');
     }
-    window.alert(result.message || 'Sayonara order deleted.');
+
+    const lines = [result.message || 'Registration marked as paid.'];
+    if (result?.invoice?.invoiceNumber) {
+      lines.push(`Invoice: ${result.invoice.invoiceNumber}`);
+    }
+    window.alert(lines.join('\n'));
     await loadData();
   }
 
-  async function checkStripePayment(registrationId) {
-    const response = await fetch('/api/admin/registrations/check-stripe-payment', {
+  async function createProforma(registrationId) {
+    const response = await fetch('/api/admin/registrations/create-proforma', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json'
@@ -2042,25 +4197,10 @@
       return;
     }
     if (!response.ok) {
-      throw new Error(result.error || 'Stripe payment check failed.');
-    }
-
-    const lines = [
-      result.message || 'Stripe payment check completed.',
-      `Registration ID: ${result.registrationId || registrationId}`,
-      `Registration status: ${result.registrationStatus || '-'}`,
-      `Stripe payment status: ${result?.stripe?.paymentStatus || '-'}`,
-      `Stripe checkout status: ${result?.stripe?.checkoutStatus || '-'}`,
-      `Stripe session: ${result?.stripe?.sessionId || '-'}`
-    ];
-    if (result?.invoice?.id || result?.invoice?.invoiceNumber) {
-      lines.push(`Invoice: ${result.invoice.invoiceNumber || result.invoice.id} (${result.invoice.status || 'ok'})`);
-    }
-    if (result?.invoiceWarning) {
-      lines.push(`Invoice warning: ${result.invoiceWarning}`);
+      throw new Error(result.error || 'Could not create the proforma invoice.');
     }
 
-    window.alert(lines.join('\n'));
+    window.alert(result.message || 'Proforma invoice created.');
     await loadData();
   }
 
@@ -2224,10 +4364,93 @@
     createBackupBtn.addEventListener('click', createBackupNow);
   }
 
+  if (invoiceReconciliationBtn) {
+    invoiceReconciliationBtn.addEventListener('click', loadInvoiceReconciliation);
+  }
+
+  if (invoiceReconciliationIssuesOnlyEl) {
+    invoiceReconciliationIssuesOnlyEl.addEventListener('change', loadInvoiceReconciliation);
+  }
+
+  if (invoiceReconciliationExportBtn) {
+    invoiceReconciliationExportBtn.addEventListener('click', exportInvoiceReconciliationCsv);
+  }
+
+  if (runInvoiceRetriesBtn) {
+    runInvoiceRetriesBtn.addEventListener('click', () => {
+      runInvoiceRetries('');
+    });
+  }
+
+  if (invoiceRetryRowsEl) {
+    invoiceRetryRowsEl.addEventListener('click', (event) => {
+      const retryButton = event.target.closest('.js-retry-invoice-job');
+      if (!retryButton) return;
+      const jobId = retryButton.getAttribute('data-job-id');
+      if (!jobId) return;
+      runInvoiceRetries(jobId);
+    });
+  }
+
+  if (runStripeReconciliationBtn) {
+    runStripeReconciliationBtn.addEventListener('click', runStripeReconciliationNow);
+  }
+
+  if (importBankStatementBtn) {
+    importBankStatementBtn.addEventListener('click', importBankStatement);
+  }
+
+  if (confirmAllBankTransactionsBtn) {
+    confirmAllBankTransactionsBtn.addEventListener('click', () => {
+      const transactionIds = openBankTransactions.filter((item) => item.status === 'PROPOSED').map((item) => item.id);
+      if (!transactionIds.length) return;
+      confirmBankTransactions(
+        { transactionIds },
+        `Confirm ${transactionIds.length} proposed match(es)? The registrations are marked PAID with the booking date and invoices are created.`
+      ).catch((error) => {
+        showBankStatementMessage('error', error.message);
+      });
+    });
+  }
+
   if (pricingFormEl) {
     pricingFormEl.addEventListener('submit', savePricingSettings);
   }
 
+  if (capacityFormEl) {
+    capacityFormEl.addEventListener('submit', saveCapacitySettings);
+  }
+
+  if (cancellationPolicyFormEl) {
+    cancellationPolicyFormEl.addEventListener('submit', saveCancellationPolicy);
+  }
+
+  if (addCancellationTierBtn && cancellationPolicyRowsEl) {
+    addCancellationTierBtn.addEventListener('click', () => {
+      cancellationPolicyRowsEl.insertAdjacentHTML('beforeend', renderCancellationTierRow());
+    });
+  }
+
+  if (cancellationPolicyRowsEl) {
+    cancellationPolicyRowsEl.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.js-remove-cancellation-tier');
+      if (removeButton) {
+        removeButton.closest('tr')?.remove();
+      }
+    });
+  }
+
+  if (promoCodeFormEl) {
+    promoCodeFormEl.addEventListener('submit', savePromoCode);
+  }
+
+  if (resetPromoCodeBtn) {
+    resetPromoCodeBtn.addEventListener('click', () => {
+      populatePromoCodeForm(null);
+      showPromoCodeMessage('ok', 'Fill in the form to create a new promo code.');
+    });
+  }
+
   if (passwordFormEl) {
     passwordFormEl.addEventListener('submit', updateAdminPassword);
   }
@@ -2352,7 +4575,11 @@
             wantsExamIaido,
             targetGradeIaido,
             wantsExamJodo,
-            targetGradeJodo
+            targetGradeJodo,
+            currentGradeIaidoDate: String(examModalIaidoGradeDateEl?.value || '').trim(),
+            currentGradeJodoDate: String(examModalJodoGradeDateEl?.value || '').trim(),
+            federationName: String(examModalFederationEl?.value || '').trim(),
+            federationMembershipId: String(examModalMembershipIdEl?.value || '').trim()
           })
         });
 
@@ -2445,6 +4672,101 @@
     });
   }
 
+  populateExamGradeSelect(transferModalIaidoGradeEl);
+  populateExamGradeSelect(transferModalJodoGradeEl);
+
+  if (transferModalIaidoEnabledEl) {
+    transferModalIaidoEnabledEl.addEventListener('change', syncTransferModalGradeState);
+  }
+
+  if (transferModalJodoEnabledEl) {
+    transferModalJodoEnabledEl.addEventListener('change', syncTransferModalGradeState);
+  }
+
+  if (transferModalCloseBtn) {
+    transferModalCloseBtn.addEventListener('click', closeTransferModal);
+  }
+
+  if (transferModalCancelBtn) {
+    transferModalCancelBtn.addEventListener('click', closeTransferModal);
+  }
+
+  if (transferModalEl) {
+    transferModalEl.addEventListener('click', (event) => {
+      if (event.target === transferModalEl) {
+        closeTransferModal();
+      }
+    });
+  }
+
+  if (transferModalFormEl) {
+    transferModalFormEl.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      if (!transferModalRegistrationId) return;
+
+      if (!transferModalConsentEl?.checked) {
+        setTransferModalMessage('error', 'Confirm that the new participant accepted the privacy policy and participation terms.');
+        return;
+      }
+      const wantsExamIaido = Boolean(transferModalIaidoEnabledEl?.checked);
+      const wantsExamJodo = Boolean(transferModalJodoEnabledEl?.checked);
+      const payload = {
+        registrationId: transferModalRegistrationId,
+        transferRequestId: transferModalRequestId,
+        fullName: String(transferModalFullNameEl?.value || '').trim(),
+        email: String(transferModalEmailEl?.value || '').trim().toLowerCase(),
+        phone: String(transferModalPhoneEl?.value || '').trim(),
+        dateOfBirth: String(transferModalDateOfBirthEl?.value || '').trim(),
+        city: String(transferModalCityEl?.value || '').trim(),
+        currentGradeIaido: String(transferModalCurrentGradeIaidoEl?.value || '').trim(),
+        currentGradeJodo: String(transferModalCurrentGradeJodoEl?.value || '').trim(),
+        wantsExamIaido,
+        targetGradeIaido: wantsExamIaido ? String(transferModalIaidoGradeEl?.value || '').trim() : '',
+        wantsExamJodo,
+        targetGradeJodo: wantsExamJodo ? String(transferModalJodoGradeEl?.value || '').trim() : '',
+        foodNotes: String(transferModalFoodNotesEl?.value || '').trim(),
+        note: String(transferModalNoteEl?.value || '').trim(),
+        consentConfirmed: true
+      };
+
+      if (transferModalSaveBtn) {
+        transferModalSaveBtn.disabled = true;
+        transferModalSaveBtn.textContent = 'Transferring...';
+      }
+      setTransferModalMessage('', '');
+
+      try {
+        const response = await fetch('/api/admin/registrations/transfer', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(payload)
+        });
+
+        const result = await readJsonResponseOrThrow(response);
+        if (response.status === 401) {
+          window.location.href = '/admin';
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(result.error || 'Failed to transfer registration.');
+        }
+
+        closeTransferModal();
+        window.alert(result.message || 'Registration transferred.');
+        await loadData();
+      } catch (error) {
+        setTransferModalMessage('error', error.message);
+      } finally {
+        if (transferModalSaveBtn) {
+          transferModalSaveBtn.disabled = false;
+          transferModalSaveBtn.textContent = 'Transfer registration';
+        }
+      }
+    });
+  }
+
   if (sayonaraPackagesModalCloseBtn) {
     sayonaraPackagesModalCloseBtn.addEventListener('click', closeSayonaraPackagesModal);
   }
@@ -2546,6 +4868,15 @@
     });
   }
 
+  function handleRefundButtonClick(button) {
+    const entityType = button.getAttribute('data-entity-type');
+    const entityId = button.getAttribute('data-entity-id');
+    if (!entityType || !entityId) return;
+    refundPayment(entityType, entityId).catch((error) => {
+      window.alert(error.message);
+    });
+  }
+
   rowsEl.addEventListener('click', (event) => {
     const toggleButton = event.target.closest('.js-toggle-details');
     if (toggleButton) {
@@ -2579,6 +4910,50 @@
       return;
     }
 
+    const guardianConsentButton = event.target.closest('.js-send-guardian-consent');
+    if (guardianConsentButton) {
+      const registrationId = guardianConsentButton.getAttribute('data-registration-id');
+      if (!registrationId) return;
+      sendGuardianConsentEmail(registrationId).catch((error) => {
+        window.alert(error.message);
+      });
+      return;
+    }
+
+    const cancelRegistrationButton = event.target.closest('.js-cancel-registration');
+    if (cancelRegistrationButton) {
+      const registrationId = cancelRegistrationButton.getAttribute('data-registration-id');
+      if (!registrationId) return;
+      cancelRegistrationWithRefund(registrationId);
+      return;
+    }
+
+    const transferRegistrationButton = event.target.closest('.js-transfer-registration');
+    if (transferRegistrationButton) {
+      const registrationId = transferRegistrationButton.getAttribute('data-registration-id');
+      if (!registrationId) return;
+      transferRegistration(registrationId);
+      return;
+    }
+
+    const rejectTransferButton = event.target.closest('.js-reject-transfer');
+    if (rejectTransferButton) {
+      const transferId = rejectTransferButton.getAttribute('data-transfer-id');
+      if (!transferId) return;
+      rejectTransferRequest(transferId);
+      return;
+    }
+
+    const selfServiceLinkButton = event.target.closest('.js-send-self-service-link');
+    if (selfServiceLinkButton) {
+      const registrationId = selfServiceLinkButton.getAttribute('data-registration-id');
+      if (!registrationId) return;
+      sendSelfServiceLink(registrationId).catch((error) => {
+        window.alert(error.message);
+      });
+      return;
+    }
+
     const editExamsButton = event.target.closest('.js-edit-exams');
     if (editExamsButton) {
       const registrationId = editExamsButton.getAttribute('data-registration-id');
@@ -2631,6 +5006,32 @@
       return;
     }
 
+    const refundButton = event.target.closest('.js-refund-payment');
+    if (refundButton) {
+      handleRefundButtonClick(refundButton);
+      return;
+    }
+
+    const transferPaidButton = event.target.closest('.js-mark-transfer-paid');
+    if (transferPaidButton) {
+      const registrationId = transferPaidButton.getAttribute('data-registration-id');
+      if (!registrationId) return;
+      markTransferPaid(registrationId).catch((error) => {
+        window.alert(error.message);
+      });
+      return;
+    }
+
+    const proformaButton = event.target.closest('.js-create-proforma');
+    if (proformaButton) {
+      const registrationId = proformaButton.getAttribute('data-registration-id');
+      if (!registrationId) return;
+      createProforma(registrationId).catch((error) => {
+        window.alert(error.message);
+      });
+      return;
+    }
+
     const checkStripeButton = event.target.closest('.js-check-stripe-payment');
     if (checkStripeButton) {
       const registrationId = checkStripeButton.getAttribute('data-registration-id');
@@ -2667,6 +5068,38 @@
 
   if (invoiceRowsEl) {
     invoiceRowsEl.addEventListener('click', (event) => {
+      const stornoButton = event.target.closest('.js-storno-invoice');
+      if (stornoButton) {
+        stornoInvoice(
+          stornoButton.getAttribute('data-entity-type'),
+          stornoButton.getAttribute('data-entity-id'),
+          stornoButton.getAttribute('data-invoice-number')
+        ).catch((error) => {
+          window.alert(error.message);
+        });
+        return;
+      }
+
+      const sendPdfButton = event.target.closest('.js-send-invoice-pdf');
+      if (sendPdfButton) {
+        sendInvoicePdfLink(
+          sendPdfButton.getAttribute('data-entity-type'),
+          sendPdfButton.getAttribute('data-entity-id'),
+          sendPdfButton.getAttribute('data-invoice-number')
+        ).catch((error) => {
+          window.alert(error.message);
+        });
+        return;
+      }
+
+      const reissueButton = event.target.closest('.js-reissue-invoice');
+      if (reissueButton) {
+        reissueInvoice(reissueButton.getAttribute('data-entity-type'), reissueButton.getAttribute('data-entity-id')).catch((error) => {
+          window.alert(error.message);
+        });
+        return;
+      }
+
       const toggleButton = event.target.closest('.js-toggle-invoice-details');
       if (!toggleButton) return;
 
@@ -2683,6 +5116,67 @@
     });
   }
 
+  if (promoCodeRowsEl) {
+    promoCodeRowsEl.addEventListener('click', (event) => {
+      const editButton = event.target.closest('.js-edit-promo-code');
+      if (!editButton) return;
+      const promoCodeId = editButton.getAttribute('data-promo-code-id');
+      const promoCode = allPromoCodes.find((item) => item.id === promoCodeId);
+      if (!promoCode) return;
+      populatePromoCodeForm(promoCode);
+      showPromoCodeMessage('ok', `Editing promo code ${promoCode.code}.`);
+      if (promoCodeCodeEl) promoCodeCodeEl.focus();
+    });
+  }
+
+  if (bankTransactionRowsEl) {
+    bankTransactionRowsEl.addEventListener('click', (event) => {
+      const confirmButton = event.target.closest('.js-confirm-bank-transaction');
+      if (confirmButton) {
+        const transactionId = confirmButton.getAttribute('data-transaction-id');
+        const transaction = openBankTransactions.find((item) => item.id === transactionId);
+        if (!transaction || !transaction.registration) return;
+        const warning = Array.isArray(transaction.matchWarnings) && transaction.matchWarnings.length
+          ? ' Warning: the amount does not match the registration total.'
+          : '';
+        confirmBankTransactions(
+          { transactionId },
+          `Mark ${transaction.registration.fullName} as PAID on ${transaction.bookingDate}?${warning}`
+        ).catch((error) => {
+          showBankStatementMessage('error', error.message);
+        });
+        return;
+      }
+
+      const assignButton = event.target.closest('.js-assign-bank-transaction');
+      if (assignButton) {
+        assignBankTransaction(assignButton.getAttribute('data-transaction-id')).catch((error) => {
+          showBankStatementMessage('error', error.message);
+        });
+        return;
+      }
+
+      const ignoreButton = event.target.closest('.js-ignore-bank-transaction');
+      if (ignoreButton) {
+        ignoreBankTransaction(ignoreButton.getAttribute('data-transaction-id')).catch((error) => {
+          showBankStatementMessage('error', error.message);
+        });
+      }
+    });
+  }
+
+  if (stripeEventRowsEl) {
+    stripeEventRowsEl.addEventListener('click', (event) => {
+      const replayButton = event.target.closest('.js-replay-stripe-event');
+      if (!replayButton) return;
+      const eventId = replayButton.getAttribute('data-event-id');
+      if (!eventId) return;
+      replayStripeEvent(eventId).catch((error) => {
+        window.alert(error.message);
+      });
+    });
+  }
+
   if (cateringOrderRowsEl) {
     cateringOrderRowsEl.addEventListener('click', (event) => {
       const retryButton = event.target.closest('.js-send-catering-retry-email');
@@ -2705,6 +5199,12 @@
         return;
       }
 
+      const refundButton = event.target.closest('.js-refund-payment');
+      if (refundButton) {
+        handleRefundButtonClick(refundButton);
+        return;
+      }
+
       const deleteButton = event.target.closest('.js-delete-catering-order');
       if (deleteButton) {
         const cateringOrderId = deleteButton.getAttribute('data-catering-order-id');
@@ -2716,6 +5216,146 @@
     });
   }
 
+  if (registrationGroupRowsEl) {
+    registrationGroupRowsEl.addEventListener('click', (event) => {
+      const refundButton = event.target.closest('.js-refund-payment');
+      if (refundButton) {
+        handleRefundButtonClick(refundButton);
+      }
+    });
+  }
+
+  if (duplicateRowsEl) {
+    duplicateRowsEl.addEventListener('click', (event) => {
+      const mergeButton = event.target.closest('.js-merge-duplicate');
+      if (mergeButton) {
+        mergeDuplicateRegistration(mergeButton.getAttribute('data-survivor-id'), mergeButton.getAttribute('data-duplicate-id')).catch((error) => {
+          showDuplicateMessage('error', error.message);
+        });
+        return;
+      }
+
+      const dismissButton = event.target.closest('.js-dismiss-duplicate');
+      if (dismissButton) {
+        dismissDuplicatePair(dismissButton.getAttribute('data-first-id'), dismissButton.getAttribute('data-second-id')).catch((error) => {
+          showDuplicateMessage('error', error.message);
+        });
+      }
+    });
+  }
+
+  if (examSessionFormEl) {
+    examSessionFormEl.addEventListener('submit', saveExamSession);
+  }
+
+  if (resetExamSessionBtn) {
+    resetExamSessionBtn.addEventListener('click', () => {
+      populateExamSessionForm(null);
+      showExamMessage('ok', 'Creating a new exam session.');
+    });
+  }
+
+  if (exportExamResultsBtn) {
+    exportExamResultsBtn.addEventListener('click', () => {
+      exportExamResultsCsv('');
+    });
+  }
+
+  if (examSessionListEl) {
+    examSessionListEl.addEventListener('click', (event) => {
+      const button = event.target.closest('button[class*="js-"]');
+      if (!button) return;
+      const sessionId = button.getAttribute('data-session-id') || '';
+      const session = examSessions.find((item) => item.id === sessionId);
+
+      if (button.classList.contains('js-edit-exam-session')) {
+        if (!session) return;
+        populateExamSessionForm(session);
+        showExamMessage('ok', `Editing the ${session.disciplineLabel} exam session on ${session.examDate}.`);
+        if (examSessionDateEl) examSessionDateEl.focus();
+        return;
+      }
+      if (button.classList.contains('js-assign-exam-candidates')) {
+        runExamAction('/api/admin/exams/sessions/assign-candidates', { sessionId }, 'Could not add applicants.');
+        return;
+      }
+      if (button.classList.contains('js-send-exam-results')) {
+        if (!session || !window.confirm(`Send ${session.unsentResultCount} result email(s) for the ${session.disciplineLabel} exam on ${session.examDate}?`)) return;
+        runExamAction('/api/admin/exams/sessions/send-results', { sessionId }, 'Could not send result emails.');
+        return;
+      }
+      if (button.classList.contains('js-send-exam-fee-links')) {
+        if (!session || !window.confirm(`Send exam fee payment links to ${session.unpaidFeeCount} candidate(s) of the ${session.disciplineLabel} exam on ${session.examDate}?`)) return;
+        runExamAction('/api/admin/exams/sessions/send-fee-links', { sessionId }, 'Could not send exam fee payment links.');
+        return;
+      }
+      if (button.classList.contains('js-send-exam-fee-link')) {
+        runExamAction('/api/admin/exams/sessions/send-fee-links', { sessionId, candidateId: button.getAttribute('data-candidate-id') }, 'Could not send the exam fee payment link.');
+        return;
+      }
+      if (button.classList.contains('js-export-exam-results')) {
+        exportExamResultsCsv(sessionId);
+        return;
+      }
+      if (button.classList.contains('js-download-scoring-sheets')) {
+        downloadExamScoringSheets(sessionId);
+        return;
+      }
+      if (button.classList.contains('js-delete-exam-session')) {
+        if (!session || !window.confirm(`Delete the ${session.disciplineLabel} exam session on ${session.examDate} with its panel and candidate list?`)) return;
+        runExamAction('/api/admin/exams/sessions/delete', { sessionId }, 'Could not delete exam session.');
+        return;
+      }
+      if (button.classList.contains('js-save-exam-results')) {
+        const sessionEl = button.closest('[data-exam-session-id]');
+        if (!sessionEl) return;
+        runExamAction('/api/admin/exams/results', { sessionId, results: collectExamResults(sessionEl) }, 'Could not save exam results.');
+        return;
+      }
+      if (button.classList.contains('js-add-panel-member')) {
+        const row = button.closest('tr');
+        runExamAction('/api/admin/exams/panel/save', {
+          sessionId,
+          fullName: row?.querySelector('.js-panel-name')?.value || '',
+          grade: row?.querySelector('.js-panel-grade')?.value || '',
+          federation: row?.querySelector('.js-panel-federation')?.value || '',
+          role: row?.querySelector('.js-panel-role')?.value || 'MEMBER'
+        }, 'Could not add panel member.');
+        return;
+      }
+      if (button.classList.contains('js-remove-panel-member')) {
+        runExamAction('/api/admin/exams/panel/remove', { panelMemberId: button.getAttribute('data-panel-member-id') }, 'Could not remove panel member.');
+        return;
+      }
+      if (button.classList.contains('js-remove-exam-candidate')) {
+        if (!window.confirm('Remove this candidate from the session?')) return;
+        runExamAction('/api/admin/exams/candidates/remove', { candidateId: button.getAttribute('data-candidate-id') }, 'Could not remove candidate.');
+      }
+    });
+  }
+
+  if (sendCertificatesBtn) {
+    sendCertificatesBtn.addEventListener('click', () => {
+      if (!window.confirm('Email the certificate download link to every paid participant who has not received it yet?')) return;
+      sendCertificates('');
+    });
+  }
+
+  if (certificateRowsEl) {
+    certificateRowsEl.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-registration-id]');
+      if (!button) return;
+      const registrationId = button.getAttribute('data-registration-id') || '';
+      if (button.classList.contains('js-send-certificate')) {
+        sendCertificates(registrationId);
+        return;
+      }
+      if (button.classList.contains('js-download-certificate')) {
+        downloadCertificate(registrationId);
+      }
+    });
+  }
+
   if (sayonaraOrderRowsEl) {
     sayonaraOrderRowsEl.addEventListener('click', (event) => {
       const editPackagesButton = event.target.closest('.js-edit-sayonara-packages');
@@ -2754,6 +5394,12 @@
         return;
       }
 
+      const refundButton = event.target.closest('.js-refund-payment');
+      if (refundButton) {
+        handleRefundButtonClick(refundButton);
+        return;
+      }
+
       const deleteButton = event.target.closest('.js-delete-sayonara-order');
       if (deleteButton) {
         const entityType = deleteButton.getAttribute('data-sayonara-entity-type') || 'sayonara_order';
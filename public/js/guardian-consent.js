@@ -0,0 +1,144 @@
+(function () {
+  const contentEl = document.getElementById('guardian-consent-content');
+  if (!contentEl) return;
+
+  const url = new URL(window.location.href);
+  const token = String(url.searchParams.get('token') || '').trim();
+
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatCurrency(value, currency = 'EUR') {
+    return new Intl.NumberFormat('en-IE', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(Number(value || 0));
+  }
+
+  function formatDateTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '-' : date.toLocaleString('en-GB');
+  }
+
+  function detailItem(label, value) {
+    return `<div class="registration-detail-item"><div class="registration-detail-label">${escapeHtml(label)}</div><div class="registration-detail-value">${escapeHtml(value || '-')}</div></div>`;
+  }
+
+  async function submitConsent(event) {
+    event.preventDefault();
+    const messageEl = document.getElementById('guardian-consent-message');
+    const submitBtn = document.getElementById('guardian-consent-submit-btn');
+    const confirmed = Boolean(event.currentTarget.elements.confirmed.checked);
+
+    if (messageEl) {
+      messageEl.className = '';
+      messageEl.textContent = '';
+    }
+    if (!confirmed) {
+      if (messageEl) {
+        messageEl.className = 'notice error';
+        messageEl.textContent = 'Please tick the box to confirm your consent.';
+      }
+      return;
+    }
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+      const response = await fetch('/api/guardian-consent/confirm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, confirmed: true })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not record your consent.');
+      }
+      renderView(result, result.message);
+    } catch (error) {
+      if (messageEl) {
+        messageEl.className = 'notice error';
+        messageEl.textContent = error.message;
+      }
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  function renderConfirmedNotice(registration, message, paymentUrl) {
+    let nextStep = 'The participant will receive the next steps by email.';
+    if (paymentUrl) {
+      nextStep = `The participant has received a payment link by email. You can also <a href="${escapeHtml(paymentUrl)}">pay now</a>.`;
+    } else if (registration.status === 'WAITLISTED') {
+      nextStep = 'The registration is on the waiting list. The participant will receive a payment link by email when a spot frees up.';
+    } else if (registration.status === 'PAID') {
+      nextStep = 'No payment is required. The registration is confirmed.';
+    } else if (registration.status === 'AWAITING_TRANSFER') {
+      nextStep = 'The participant has received the bank transfer details by email.';
+    }
+    return `<div class="notice ok">${escapeHtml(message || `Consent was given on ${formatDateTime(registration.guardianConsentAt)}.`)} ${nextStep}</div>`;
+  }
+
+  function renderView(view, message) {
+    const registration = view.registration || {};
+    const packageText = registration.attendanceDayLabel
+      ? `${registration.campTypeLabel} (${registration.attendanceDayLabel})`
+      : registration.campTypeLabel;
+    const consentGiven = Boolean(registration.guardianConsentAt);
+    contentEl.innerHTML = `
+      ${consentGiven ? renderConfirmedNotice(registration, message, view.paymentUrl) : ''}
+      <div class="registration-details-grid">
+        ${detailItem('Registration ID', registration.id)}
+        ${detailItem('Participant', registration.fullName)}
+        ${detailItem('Date of birth', registration.dateOfBirth)}
+        ${detailItem('Seminar package', packageText)}
+        ${detailItem('Amount', formatCurrency(registration.amount, registration.currency))}
+        ${detailItem('Parent / guardian', registration.guardianFullName)}
+      </div>
+      ${consentGiven ? '' : `<h3>Consent</h3>
+      <form id="guardian-consent-form" novalidate>
+        <div class="field full">
+          <label class="checkline" for="guardian-consent-confirmed">
+            <input id="guardian-consent-confirmed" name="confirmed" type="checkbox" />
+            <span>I am the parent or legal guardian of ${escapeHtml(registration.fullName)}. I consent to their participation in the Ishido Sensei Summer Seminar 2026 and to the processing of their personal data as described in the <a href="/privacy" target="_blank" rel="noopener noreferrer">Privacy Notice</a> and the <a href="/terms" target="_blank" rel="noopener noreferrer">Terms</a>.</span>
+          </label>
+        </div>
+        <p class="helper">Consent version: ${escapeHtml(view.consentVersion)}</p>
+        <div id="guardian-consent-message" aria-live="polite"></div>
+        <div class="cta-row">
+          <button class="btn primary" id="guardian-consent-submit-btn" type="submit">Give consent</button>
+        </div>
+      </form>`}
+    `;
+    const form = document.getElementById('guardian-consent-form');
+    if (form) {
+      form.addEventListener('submit', submitConsent);
+    }
+  }
+
+  async function init() {
+    if (!token) {
+      contentEl.innerHTML = '<div class="notice error">The consent link is missing. Please open the link from the email we sent you.</div>';
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/guardian-consent?token=${encodeURIComponent(token)}`);
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not load the registration.');
+      }
+      renderView(result);
+    } catch (error) {
+      contentEl.innerHTML = `<div class="notice error">${escapeHtml(error.message)} Please contact the organizers at <a href="mailto:info@summerseminar2026.hu">info@summerseminar2026.hu</a>.</div>`;
+    }
+  }
+
+  init();
+})();
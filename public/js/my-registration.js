@@ -0,0 +1,467 @@
+(function () {
+  const contentEl = document.getElementById('my-registration-content');
+  if (!contentEl) return;
+
+  const url = new URL(window.location.href);
+  const token = String(url.searchParams.get('token') || '').trim();
+
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatCurrency(value, currency = 'EUR') {
+    return new Intl.NumberFormat('en-IE', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(Number(value || 0));
+  }
+
+  function formatDateTime(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '-' : date.toLocaleString('en-GB');
+  }
+
+  function detailItem(label, value) {
+    return `<div class="registration-detail-item"><div class="registration-detail-label">${escapeHtml(label)}</div><div class="registration-detail-value">${escapeHtml(value || '-')}</div></div>`;
+  }
+
+  function renderOrders(view) {
+    const items = [];
+    if (view.cateringOrder) {
+      items.push(detailItem(
+        'Lunch order',
+        `${view.cateringOrder.status} - ${formatCurrency(view.cateringOrder.amount, view.cateringOrder.currency)} (${view.cateringOrder.lunchDays.join(', ') || 'no days'})`
+      ));
+    }
+    if (view.sayonaraOrder) {
+      items.push(detailItem(
+        'Sayonara order',
+        `${view.sayonaraOrder.status} - ${formatCurrency(view.sayonaraOrder.amount, view.sayonaraOrder.currency)} (spirits packages: ${view.sayonaraOrder.spiritsPackageCount})`
+      ));
+    }
+    if (view.sayonaraGuestOrder) {
+      items.push(detailItem(
+        'Sayonara +1 order',
+        `${view.sayonaraGuestOrder.status} - ${formatCurrency(view.sayonaraGuestOrder.amount, view.sayonaraGuestOrder.currency)} (${view.sayonaraGuestOrder.guestFullName || 'guest'})`
+      ));
+    }
+    const examFeeOrders = Array.isArray(view.examFeeOrders) ? view.examFeeOrders : [];
+    examFeeOrders.forEach((order) => {
+      items.push(detailItem(
+        order.description || 'Exam fee',
+        `${order.status} - ${formatCurrency(order.amount, order.currency)}${order.paidAt ? ` (paid ${formatDateTime(order.paidAt)})` : ''}`
+      ));
+    });
+    if (items.length === 0) {
+      return '<p class="muted">You have no separate lunch, Sayonara or exam fee orders.</p>';
+    }
+    const paymentLinks = examFeeOrders
+      .filter((order) => order.paymentUrl)
+      .map((order) => `<li><a href="${escapeHtml(order.paymentUrl)}">Pay ${escapeHtml(order.description || 'exam fee')}</a></li>`);
+    return `<div class="registration-details-grid">${items.join('')}</div>${paymentLinks.length ? `<ul>${paymentLinks.join('')}</ul>` : ''}`;
+  }
+
+  function renderInvoices(invoices) {
+    if (!invoices.length) {
+      return '<p class="muted">No invoices have been issued yet.</p>';
+    }
+    return `<ul>${invoices.map((invoice) => `<li>${escapeHtml(invoice.label)}: <a href="${escapeHtml(invoice.pdfUrl)}" target="_blank" rel="noopener">${escapeHtml(invoice.invoiceNumber)}</a> (${formatCurrency(invoice.grossAmount, invoice.currency)})</li>`).join('')}</ul>`;
+  }
+
+  function renderCertificate(certificate) {
+    if (!certificate) return '';
+    return `
+      <h3>Certificate of participation</h3>
+      <p><a href="${escapeHtml(certificate.downloadUrl)}">Download your certificate (PDF)</a>${certificate.certificateNumber ? ` <span class="helper">Certificate number: ${escapeHtml(certificate.certificateNumber)}</span>` : ''}</p>
+    `;
+  }
+
+  function renderChanges(changes) {
+    if (!changes.length) return '';
+    return `
+      <h3>Change history</h3>
+      <ul>${changes.map((change) => `<li>${escapeHtml(formatDateTime(change.createdAt))}: ${escapeHtml(change.fieldLabel)} changed by ${escapeHtml(change.changedBy)}</li>`).join('')}</ul>
+    `;
+  }
+
+  const GRADE_OPTIONS = ['Mukyu', '2. kyu', '1. kyu', '1. dan', '2. dan', '3. dan', '4. dan', '5. dan', '6. dan', '7. dan', '8. dan'];
+  const EXAM_TARGET_OPTIONS = ['2. kyu', '1. kyu', '1. dan', '2. dan', '3. dan', '4. dan', '5. dan'];
+
+  function renderGradeSelect(id, name, options, emptyLabel) {
+    return `<select id="${id}" name="${name}"><option value="">${escapeHtml(emptyLabel)}</option>${options.map((grade) => `<option>${escapeHtml(grade)}</option>`).join('')}</select>`;
+  }
+
+  function renderDisciplineFields(discipline, label) {
+    return `
+      <div class="field">
+        <label for="my-transfer-grade-${discipline}">Current ${label} grade</label>
+        ${renderGradeSelect(`my-transfer-grade-${discipline}`, `currentGrade${label}`, GRADE_OPTIONS, 'Select grade')}
+      </div>
+      <div class="field">
+        <label for="my-transfer-target-${discipline}">${label} exam target grade (if taking exam)</label>
+        ${renderGradeSelect(`my-transfer-target-${discipline}`, `targetGrade${label}`, EXAM_TARGET_OPTIONS, 'No exam')}
+      </div>
+    `;
+  }
+
+  function renderTransferSection(transfer) {
+    if (!transfer) return '';
+    if (transfer.pendingRequest) {
+      return `
+        <h3>Transfer registration</h3>
+        <div class="notice ok">You asked to transfer this registration to ${escapeHtml(transfer.pendingRequest.toFullName)} (${escapeHtml(transfer.pendingRequest.toEmail)}) on ${escapeHtml(formatDateTime(transfer.pendingRequest.createdAt))}. The organizers will confirm the transfer by email.</div>
+      `;
+    }
+    return `
+      <h3>Transfer registration</h3>
+      <p class="helper">If you cannot attend, you can ask us to transfer your paid registration to someone else. The package, orders and invoices stay the same; no refund is issued. After the organizers confirm the transfer, this link stops working and the new participant receives their own link.</p>
+      <form id="my-registration-transfer-form" novalidate>
+        <div class="form-grid">
+          <div class="field">
+            <label for="my-transfer-full-name">New participant name</label>
+            <input id="my-transfer-full-name" name="fullName" type="text" maxlength="200" required />
+          </div>
+          <div class="field">
+            <label for="my-transfer-email">Email</label>
+            <input id="my-transfer-email" name="email" type="email" required />
+          </div>
+          <div class="field">
+            <label for="my-transfer-phone">Phone</label>
+            <input id="my-transfer-phone" name="phone" type="tel" required />
+          </div>
+          <div class="field">
+            <label for="my-transfer-date-of-birth">Date of birth</label>
+            <input id="my-transfer-date-of-birth" name="dateOfBirth" type="date" />
+          </div>
+          <div class="field">
+            <label for="my-transfer-city">City</label>
+            <input id="my-transfer-city" name="city" type="text" maxlength="120" required />
+          </div>
+          ${transfer.iaido ? renderDisciplineFields('iaido', 'Iaido') : ''}
+          ${transfer.jodo ? renderDisciplineFields('jodo', 'Jodo') : ''}
+          <div class="field full">
+            <label for="my-transfer-note">Message to the organizers (optional)</label>
+            <textarea id="my-transfer-note" name="note" maxlength="500"></textarea>
+          </div>
+          <div class="field full">
+            <label class="checkline" for="my-transfer-consent">
+              <input id="my-transfer-consent" name="consentConfirmed" type="checkbox" />
+              <span>The new participant has read and accepted the <a href="/privacy" target="_blank" rel="noopener">privacy policy</a> and the <a href="/terms" target="_blank" rel="noopener">participation terms</a>.</span>
+            </label>
+          </div>
+        </div>
+        <div id="my-registration-transfer-message" aria-live="polite"></div>
+        <div class="cta-row">
+          <button class="btn secondary" id="my-registration-transfer-btn" type="submit">Request transfer</button>
+        </div>
+      </form>
+    `;
+  }
+
+  async function submitTransferRequest(event) {
+    event.preventDefault();
+    const messageEl = document.getElementById('my-registration-transfer-message');
+    const submitBtn = document.getElementById('my-registration-transfer-btn');
+    const elements = event.currentTarget.elements;
+    const readValue = (name) => String(elements[name]?.value || '').trim();
+
+    if (submitBtn) submitBtn.disabled = true;
+    if (messageEl) {
+      messageEl.className = '';
+      messageEl.textContent = '';
+    }
+
+    try {
+      const response = await fetch('/api/my-registration/transfer-request', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token,
+          fullName: readValue('fullName'),
+          email: readValue('email'),
+          phone: readValue('phone'),
+          dateOfBirth: readValue('dateOfBirth'),
+          city: readValue('city'),
+          currentGradeIaido: readValue('currentGradeIaido'),
+          wantsExamIaido: Boolean(readValue('targetGradeIaido')),
+          targetGradeIaido: readValue('targetGradeIaido'),
+          currentGradeJodo: readValue('currentGradeJodo'),
+          wantsExamJodo: Boolean(readValue('targetGradeJodo')),
+          targetGradeJodo: readValue('targetGradeJodo'),
+          note: readValue('note'),
+          consentConfirmed: Boolean(elements.consentConfirmed?.checked)
+        })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not send your transfer request.');
+      }
+      renderView(result);
+    } catch (error) {
+      if (messageEl) {
+        messageEl.className = 'notice error';
+        messageEl.textContent = error.message;
+      }
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  function renderCancellationQuote(quote) {
+    if (!quote || !quote.cancellable) return '';
+    let refundText = 'No refund is due under the cancellation policy.';
+    if (quote.refundAmount > 0) {
+      refundText = `You will receive ${formatCurrency(quote.refundAmount, quote.currency)} back (${quote.refundPercent}% of the registration fee${quote.policyDeadline ? ` when cancelling on or before ${quote.policyDeadline}` : ''}).`;
+      if (quote.refundMethod === 'manual') {
+        refundText += ' The organizers will contact you about the bank transfer.';
+      }
+    }
+    return `
+      <h3>Cancel registration</h3>
+      <p class="helper">${escapeHtml(refundText)} Lunch and Sayonara orders are not cancelled automatically; please contact the organizers about them.</p>
+      <form id="my-registration-cancel-form" novalidate>
+        <div class="field">
+          <label for="my-cancel-reason">Reason (optional)</label>
+          <textarea id="my-cancel-reason" name="reason" maxlength="500"></textarea>
+        </div>
+        <div id="my-registration-cancel-message" aria-live="polite"></div>
+        <div class="cta-row">
+          <button class="btn danger" id="my-registration-cancel-btn" type="submit">Cancel my registration</button>
+        </div>
+      </form>
+    `;
+  }
+
+  async function submitCancellation(event) {
+    event.preventDefault();
+    if (!window.confirm('Are you sure you want to cancel your registration? This cannot be undone.')) return;
+    const messageEl = document.getElementById('my-registration-cancel-message');
+    const submitBtn = document.getElementById('my-registration-cancel-btn');
+    const reason = String(event.currentTarget.elements.reason.value || '').trim();
+
+    if (submitBtn) submitBtn.disabled = true;
+    if (messageEl) {
+      messageEl.className = '';
+      messageEl.textContent = '';
+    }
+
+    try {
+      const response = await fetch('/api/my-registration/cancel', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, reason, confirm: true })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not cancel your registration.');
+      }
+      renderView(result);
+    } catch (error) {
+      if (messageEl) {
+        messageEl.className = 'notice error';
+        messageEl.textContent = error.message;
+      }
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  async function submitForm(event) {
+    event.preventDefault();
+    const messageEl = document.getElementById('my-registration-message');
+    const submitBtn = document.getElementById('my-registration-submit-btn');
+    const form = event.currentTarget;
+
+    if (submitBtn) {
+      submitBtn.disabled = true;
+      submitBtn.textContent = 'Saving...';
+    }
+    if (messageEl) {
+      messageEl.className = '';
+      messageEl.textContent = '';
+    }
+
+    try {
+      const response = await fetch('/api/my-registration/update', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          token,
+          phone: form.elements.phone.value,
+          city: form.elements.city.value,
+          foodNotes: form.elements.foodNotes.value
+        })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not save your changes.');
+      }
+      renderView(result);
+      const savedMessageEl = document.getElementById('my-registration-message');
+      if (savedMessageEl) {
+        savedMessageEl.className = 'notice ok';
+        savedMessageEl.textContent = result.message || 'Saved.';
+      }
+    } catch (error) {
+      if (messageEl) {
+        messageEl.className = 'notice error';
+        messageEl.textContent = error.message;
+      }
+      if (submitBtn) {
+        submitBtn.disabled = false;
+        submitBtn.textContent = 'Save changes';
+      }
+    }
+  }
+
+  function renderView(view) {
+    const registration = view.registration || {};
+    const cancellation = view.cancellation;
+    const isEditable = Array.isArray(view.editableFields) && view.editableFields.length > 0;
+    const packageText = registration.attendanceDayLabel
+      ? `${registration.packageLabel} (${registration.attendanceDayLabel})`
+      : registration.packageLabel;
+    contentEl.innerHTML = `
+      ${cancellation ? `<div class="notice ok">Your registration was cancelled on ${escapeHtml(formatDateTime(cancellation.createdAt))}. ${escapeHtml(cancellation.refundText)}</div>` : ''}
+      <div class="registration-details-grid">
+        ${detailItem('Registration ID', registration.id)}
+        ${detailItem('Name', registration.fullName)}
+        ${detailItem('Email', registration.email)}
+        ${detailItem('Seminar package', packageText)}
+        ${detailItem('Amount', formatCurrency(registration.amount, registration.currency))}
+        ${detailItem('Payment status', registration.paymentState)}
+        ${detailItem('Lunch days', (registration.lunchDays || []).join(', ') || 'None')}
+        ${detailItem('Sayonara party', registration.sayonaraAttending ? 'Attending' : 'Not attending')}
+      </div>
+
+      <h3>Orders</h3>
+      ${renderOrders(view)}
+
+      <h3>Invoices</h3>
+      ${renderInvoices(view.invoices || [])}
+
+      ${renderCertificate(view.certificate)}
+
+      ${isEditable ? `<h3>Update your details</h3>
+      <p class="helper">You can change your phone number, city and food notes here. To change anything else, please contact the organizers at <a href="mailto:info@summerseminar2026.hu">info@summerseminar2026.hu</a>.</p>
+      <form id="my-registration-form" novalidate>
+        <div class="form-grid">
+          <div class="field">
+            <label for="my-phone">Phone</label>
+            <input id="my-phone" name="phone" type="tel" required value="${escapeHtml(registration.phone)}" />
+          </div>
+          <div class="field">
+            <label for="my-city">City</label>
+            <input id="my-city" name="city" type="text" maxlength="120" required value="${escapeHtml(registration.city)}" />
+          </div>
+          <div class="field full">
+            <label for="my-food-notes">Food notes</label>
+            <textarea id="my-food-notes" name="foodNotes" maxlength="4000">${escapeHtml(registration.foodNotes)}</textarea>
+            <p class="helper">Maximum 4000 characters.</p>
+          </div>
+        </div>
+        <div id="my-registration-message" aria-live="polite"></div>
+        <div class="cta-row">
+          <button class="btn primary" id="my-registration-submit-btn" type="submit">Save changes</button>
+        </div>
+      </form>` : ''}
+      ${renderChanges(view.changes || [])}
+      ${renderTransferSection(view.transfer)}
+      ${renderCancellationQuote(view.cancellationQuote)}
+    `;
+    const form = document.getElementById('my-registration-form');
+    if (form) {
+      form.addEventListener('submit', submitForm);
+    }
+    const transferForm = document.getElementById('my-registration-transfer-form');
+    if (transferForm) {
+      transferForm.addEventListener('submit', submitTransferRequest);
+    }
+    const cancelForm = document.getElementById('my-registration-cancel-form');
+    if (cancelForm) {
+      cancelForm.addEventListener('submit', submitCancellation);
+    }
+  }
+
+  async function submitLinkRequest(event) {
+    event.preventDefault();
+    const messageEl = document.getElementById('my-registration-message');
+    const submitBtn = document.getElementById('my-registration-link-btn');
+    const email = String(event.currentTarget.elements.email.value || '').trim();
+
+    if (submitBtn) submitBtn.disabled = true;
+    if (messageEl) {
+      messageEl.className = '';
+      messageEl.textContent = '';
+    }
+
+    try {
+      const response = await fetch('/api/my-registration/request-link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not send the link.');
+      }
+      if (messageEl) {
+        messageEl.className = 'notice ok';
+        messageEl.textContent = result.message || 'Please check your inbox.';
+      }
+    } catch (error) {
+      if (messageEl) {
+        messageEl.className = 'notice error';
+        messageEl.textContent = error.message;
+      }
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  function renderLinkRequest(introHtml) {
+    contentEl.innerHTML = `
+      ${introHtml}
+      <p class="muted">Enter the email address you registered with and we will send you a personal link to your registration.</p>
+      <form id="my-registration-link-form" novalidate>
+        <div class="field">
+          <label for="my-email">Email</label>
+          <input id="my-email" name="email" type="email" required />
+        </div>
+        <div id="my-registration-message" aria-live="polite"></div>
+        <div class="cta-row">
+          <button class="btn primary" id="my-registration-link-btn" type="submit">Send me my link</button>
+        </div>
+      </form>
+    `;
+    const form = document.getElementById('my-registration-link-form');
+    if (form) {
+      form.addEventListener('submit', submitLinkRequest);
+    }
+  }
+
+  async function init() {
+    if (!token) {
+      renderLinkRequest('');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/my-registration?token=${encodeURIComponent(token)}`);
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not load your registration.');
+      }
+      renderView(result);
+    } catch (error) {
+      renderLinkRequest(`<div class="notice error">${escapeHtml(error.message)}</div>`);
+    }
+  }
+
+  init();
+})();
@@ -12,6 +12,8 @@
     url.searchParams.delete('catering_order_id');
     url.searchParams.delete('sayonara_order_id');
     url.searchParams.delete('sayonara_guest_order_id');
+    url.searchParams.delete('registration_group_id');
+    url.searchParams.delete('exam_fee_order_id');
     const next = `${url.pathname}${url.searchParams.toString() ? `?${url.searchParams.toString()}` : ''}`;
     window.history.replaceState({}, document.title, next);
   }
@@ -40,6 +42,26 @@
     .then((result) => {
       const status = String(result.registrationStatus || '').trim();
       const entityType = String(result.entityType || 'registration').trim();
+      if (entityType === 'registration_group') {
+        if (result.paid || status === 'PAID') {
+          subtitleEl.textContent = 'Group payment confirmed successfully.';
+          metaEl.textContent = `Group ID: ${result.registrationGroupId}. Participants: ${result.participantCount}. Every participant receives their own confirmation email.`;
+        } else {
+          subtitleEl.textContent = 'Group payment return was successful, but the group is not marked as paid yet.';
+          metaEl.textContent = `Current status: ${status || 'PENDING_PAYMENT'}. Please contact the organizer if this does not change soon.`;
+        }
+        return;
+      }
+      if (entityType === 'exam_fee_order') {
+        if (result.paid || status === 'PAID') {
+          subtitleEl.textContent = 'Exam fee payment confirmed successfully.';
+          metaEl.textContent = `${result.description || 'Exam fee'}. Order ID: ${result.examFeeOrderId}. Status: ${status || 'PAID'}.`;
+        } else {
+          subtitleEl.textContent = 'Exam fee payment return was successful, but the fee is not marked as paid yet.';
+          metaEl.textContent = `Current status: ${status || 'PENDING_PAYMENT'}. Please contact the organizer if this does not change soon.`;
+        }
+        return;
+      }
       if (result.paid || status === 'PAID') {
         subtitleEl.textContent = entityType === 'catering_order'
           ? 'Lunch payment confirmed successfully.'
@@ -23,10 +23,55 @@
   const sayonaraAttendingEl = document.getElementById('sayonaraAttending');
   const sayonaraSpiritsPackageCountEl = document.getElementById('sayonaraSpiritsPackageCount');
   const sayonaraFoodNotesEl = document.getElementById('sayonaraFoodNotes');
+  const promoCodeEl = document.getElementById('promoCode');
+  const promoCodeApplyBtn = document.getElementById('promo-code-apply-btn');
+  const promoCodeMessageEl = document.getElementById('promo-code-message');
+  const paymentMethodSectionEl = document.getElementById('payment-method-section');
+  const paymentMethodEls = Array.from(form.querySelectorAll('input[name="paymentMethod"]'));
   const messageEl = document.getElementById('form-message');
   const submitBtn = document.getElementById('submit-btn');
+  const groupModeEl = document.getElementById('groupMode');
+  const guardianSectionEl = document.getElementById('guardian-section');
+  const guardianFieldEls = ['guardianFullName', 'guardianEmail', 'guardianPhone']
+    .map((id) => document.getElementById(id))
+    .filter(Boolean);
+  const groupSectionEl = document.getElementById('group-section');
+  const groupLeaderFullNameEl = document.getElementById('groupLeaderFullName');
+  const groupLeaderEmailEl = document.getElementById('groupLeaderEmail');
+  const groupLeaderPhoneEl = document.getElementById('groupLeaderPhone');
+  const groupDojoNameEl = document.getElementById('groupDojoName');
+  const groupParticipantListEl = document.getElementById('group-participant-list');
+  const groupTotalEl = document.getElementById('group-total');
+  const groupAddParticipantBtn = document.getElementById('group-add-participant-btn');
+  const groupSharedFieldIds = [
+    'billingFullName',
+    'billingZip',
+    'billingCity',
+    'billingCountry',
+    'billingAddress',
+    'billingCompanyName',
+    'billingVatId',
+    'groupLeaderFullName',
+    'groupLeaderEmail',
+    'groupLeaderPhone',
+    'groupDojoName'
+  ];
+  const groupSharedPayloadKeys = new Set([
+    'billingFullName',
+    'billingZip',
+    'billingCity',
+    'billingAddress',
+    'billingCountry',
+    'billingCompanyName',
+    'billingVatId',
+    'promoCode',
+    'paymentMethod',
+    'privacyConsent',
+    'termsConsent'
+  ]);
   const campTypesRequiringAttendanceDay = new Set(['one_day', 'one_and_half_days']);
   const halfDayFixedAttendanceDay = '2026-08-01';
+  const seminarFirstDay = '2026-07-30';
   const earlyBirdLastDayDefault = '2026-04-10';
   const pricingTimeZoneDefault = 'Europe/Budapest';
   const gradeOrder = [
@@ -104,6 +149,9 @@
 
   let pricingConfig = buildFallbackPricingConfig();
   let pricingMeta = buildFallbackPricingMeta();
+  let appliedPromoCode = null;
+  let bankTransferAvailable = false;
+  let groupParticipants = [];
 
   function formatCurrency(value, currency = 'EUR') {
     return new Intl.NumberFormat('en-IE', {
@@ -216,6 +264,78 @@
     syncExamField(wantsExamJodoEl, currentGradeJodoEl, targetGradeJodoEl);
   }
 
+  function getSelectedPaymentMethod() {
+    const selected = paymentMethodEls.find((input) => input.checked);
+    return selected ? String(selected.value || 'card') : 'card';
+  }
+
+  function isGroupMode() {
+    return Boolean(groupModeEl?.checked);
+  }
+
+  function isMinorOnSeminarStart(dottedDate) {
+    const isoDate = isoFromDottedDate(dottedDate);
+    if (!isoDate) return false;
+    return `${Number(isoDate.slice(0, 4)) + 18}${isoDate.slice(4)}` > seminarFirstDay;
+  }
+
+  function needsGuardianConsent() {
+    return !isGroupMode() && isMinorOnSeminarStart(dateOfBirthEl?.value);
+  }
+
+  function syncGuardianSection() {
+    const required = needsGuardianConsent();
+    if (guardianSectionEl) guardianSectionEl.hidden = !required;
+    guardianFieldEls.forEach((input) => {
+      input.required = required;
+    });
+    syncSubmitButtonLabel();
+  }
+
+  function syncSubmitButtonLabel() {
+    if (isGroupMode()) {
+      submitBtn.textContent = 'Submit Group Registration and Start Payment';
+      return;
+    }
+    submitBtn.textContent = getSelectedPaymentMethod() === 'bank_transfer' || needsGuardianConsent()
+      ? 'Submit Registration'
+      : 'Submit Registration and Start Payment';
+  }
+
+  function showBankTransferInstructions(result) {
+    const payment = result.payment || {};
+    const bankAccount = payment.bankAccount || {};
+    const rows = [
+      ['Amount', formatCurrency(payment.amount, payment.currency || 'EUR')],
+      ['Account holder', bankAccount.accountHolder],
+      ['IBAN', bankAccount.iban],
+      ['Bank', bankAccount.bankName],
+      ['SWIFT/BIC', bankAccount.swift],
+      ['Payment reference', payment.reference],
+      ['Payment deadline', payment.dueDate],
+      ['Proforma invoice', payment.proformaNumber]
+    ].filter(([, value]) => String(value || '').trim());
+
+    messageEl.className = 'notice ok';
+    messageEl.textContent = '';
+    const introEl = document.createElement('p');
+    introEl.textContent = `Registration saved (${result.registrationId}). Please transfer the amount below and include the payment reference exactly as shown. We have also sent these details by email.`;
+    const listEl = document.createElement('ul');
+    rows.forEach(([label, value]) => {
+      const itemEl = document.createElement('li');
+      const labelEl = document.createElement('strong');
+      labelEl.textContent = `${label}: `;
+      itemEl.append(labelEl, String(value));
+      listEl.append(itemEl);
+    });
+    messageEl.append(introEl, listEl);
+    if (payment.error) {
+      const errorEl = document.createElement('p');
+      errorEl.textContent = payment.error;
+      messageEl.append(errorEl);
+    }
+  }
+
   function showMessage(type, text) {
     messageEl.className = `notice ${type}`;
     messageEl.textContent = text;
@@ -236,6 +356,7 @@
   function syncBirthDateFromPicker() {
     if (!dateOfBirthEl || !dateOfBirthPickerEl) return;
     dateOfBirthEl.value = dottedFromIsoDate(dateOfBirthPickerEl.value);
+    syncGuardianSection();
   }
 
   function openBirthDatePicker() {
@@ -352,7 +473,17 @@
       }
     }
 
-    const totalAmount = lineItems.reduce((sum, item) => sum + Number(item.amount || 0), 0);
+    const discountAmount = calculatePromoCodeDiscount(appliedPromoCode, lineItems[0].amount);
+    if (appliedPromoCode && discountAmount > 0) {
+      lineItems.push({
+        key: 'promoCode',
+        code: appliedPromoCode.code,
+        label: `Promo code ${appliedPromoCode.code}`,
+        amount: -discountAmount
+      });
+    }
+
+    const totalAmount = Math.max(0, lineItems.reduce((sum, item) => sum + Number(item.amount || 0), 0));
 
     return {
       campType,
@@ -364,13 +495,71 @@
     };
   }
 
+  function calculatePromoCodeDiscount(promoCode, baseAmount) {
+    const base = Math.round(Number(baseAmount || 0) * 100) / 100;
+    if (!promoCode || base <= 0) return 0;
+    const value = Number(promoCode.discountValue || 0);
+    if (!Number.isFinite(value) || value <= 0) return 0;
+    const discount = promoCode.discountType === 'PERCENT' ? base * Math.min(value, 100) / 100 : value;
+    return Math.round(Math.min(base, discount) * 100) / 100;
+  }
+
+  function showPromoCodeMessage(type, text) {
+    if (!promoCodeMessageEl) return;
+    promoCodeMessageEl.className = type ? `notice ${type}` : 'helper';
+    promoCodeMessageEl.textContent = text;
+  }
+
+  async function applyPromoCode() {
+    if (!promoCodeEl) return;
+    const code = String(promoCodeEl.value || '').trim().toUpperCase();
+    promoCodeEl.value = code;
+    if (!code) {
+      appliedPromoCode = null;
+      showPromoCodeMessage('', '');
+      renderPriceSummary();
+      return;
+    }
+
+    if (promoCodeApplyBtn) promoCodeApplyBtn.disabled = true;
+    try {
+      const response = await fetch('/api/promo-codes/check', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          code,
+          campType: campTypeEl.value,
+          email: form.elements.email?.value || ''
+        })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Promo code could not be applied.');
+      }
+
+      appliedPromoCode = result.promoCode;
+      showPromoCodeMessage('ok', `Promo code ${appliedPromoCode.code} applied: -${formatCurrency(result.discountAmount, 'EUR')}.`);
+    } catch (error) {
+      appliedPromoCode = null;
+      showPromoCodeMessage('error', error.message);
+    } finally {
+      if (promoCodeApplyBtn) promoCodeApplyBtn.disabled = false;
+      renderPriceSummary();
+    }
+  }
+
   function renderPriceSummary() {
     const pricing = getPricingSelection();
     const tier = String(pricingMeta?.pricingTier || 'regular').trim().toLowerCase();
     const tierLabel = tier === 'early_bird' ? 'Early Bird' : 'Regular';
 
     priceLinesEl.innerHTML = pricing.lineItems
-      .map((item) => `<li><span>${item.label} (${tierLabel})</span><strong>${formatCurrency(item.amount, 'EUR')}</strong></li>`)
+      .map((item) => {
+        const label = item.key === 'promoCode' ? item.label : `${item.label} (${tierLabel})`;
+        return `<li><span>${label}</span><strong>${formatCurrency(item.amount, 'EUR')}</strong></li>`;
+      })
       .join('');
 
     priceTotalEl.textContent = formatCurrency(pricing.totalAmount, 'EUR');
@@ -391,6 +580,10 @@
       city: raw.get('city'),
       currentGradeIaido: raw.get('currentGradeIaido'),
       currentGradeJodo: raw.get('currentGradeJodo'),
+      currentGradeIaidoDate: raw.get('currentGradeIaidoDate'),
+      currentGradeJodoDate: raw.get('currentGradeJodoDate'),
+      federationName: raw.get('federationName'),
+      federationMembershipId: raw.get('federationMembershipId'),
       campType,
       attendanceDay,
       cateringSelection: Object.fromEntries(
@@ -408,7 +601,14 @@
       billingCity: raw.get('billingCity'),
       billingAddress: raw.get('billingAddress'),
       billingCountry: raw.get('billingCountry'),
+      billingCompanyName: raw.get('billingCompanyName'),
+      billingVatId: raw.get('billingVatId'),
       foodNotes: raw.get('foodNotes'),
+      promoCode: appliedPromoCode ? appliedPromoCode.code : '',
+      paymentMethod: getSelectedPaymentMethod(),
+      guardianFullName: raw.get('guardianFullName'),
+      guardianEmail: raw.get('guardianEmail'),
+      guardianPhone: raw.get('guardianPhone'),
       privacyConsent: Boolean(raw.get('privacyConsent')),
       termsConsent: Boolean(raw.get('termsConsent'))
     };
@@ -424,6 +624,10 @@
       errors.push('Half-day participation is fixed to the transition day (Day 3).');
     }
 
+    if (String(payload.billingVatId || '').trim() && !String(payload.billingCompanyName || '').trim()) {
+      errors.push('Company name is required when a VAT number is given.');
+    }
+
     if (payload.wantsExamIaido) {
       const nextIaido = getNextGrade(payload.currentGradeIaido);
       if (!allowedExamTargets.has(nextIaido)) {
@@ -442,6 +646,21 @@
       }
     }
 
+    if (payload.wantsExamIaido || payload.wantsExamJodo) {
+      if (!String(payload.federationName || '').trim()) {
+        errors.push('National federation is required for exam candidates.');
+      }
+      if (!String(payload.federationMembershipId || '').trim()) {
+        errors.push('Federation membership ID is required for exam candidates.');
+      }
+    }
+    if (payload.wantsExamIaido && payload.currentGradeIaido !== 'Mukyu' && !String(payload.currentGradeIaidoDate || '').trim()) {
+      errors.push('The date of the current Iaido grade is required for the Iaido exam.');
+    }
+    if (payload.wantsExamJodo && payload.currentGradeJodo !== 'Mukyu' && !String(payload.currentGradeJodoDate || '').trim()) {
+      errors.push('The date of the current Jodo grade is required for the Jodo exam.');
+    }
+
     return errors;
   }
 
@@ -459,6 +678,16 @@
       if (result && result.pricingMeta && typeof result.pricingMeta === 'object') {
         pricingMeta = result.pricingMeta;
       }
+      if (paymentMethodSectionEl) {
+        bankTransferAvailable = Boolean(result?.paymentMethods?.bankTransfer);
+        paymentMethodSectionEl.hidden = !bankTransferAvailable || isGroupMode();
+        if (!bankTransferAvailable) {
+          paymentMethodEls.forEach((input) => {
+            input.checked = input.value === 'card';
+          });
+          syncSubmitButtonLabel();
+        }
+      }
     } catch {
       pricingConfig = buildFallbackPricingConfig();
       pricingMeta = buildFallbackPricingMeta();
@@ -467,23 +696,135 @@
     }
   }
 
-  async function submitForm(event) {
-    event.preventDefault();
+  function toGroupParticipant(payload) {
+    return Object.fromEntries(Object.entries(payload).filter(([key]) => !groupSharedPayloadKeys.has(key)));
+  }
+
+  function hasParticipantInput() {
+    return Boolean(String(form.elements.fullName?.value || '').trim() || String(form.elements.email?.value || '').trim());
+  }
+
+  function resetParticipantFields() {
+    const kept = groupSharedFieldIds.map((id) => [id, document.getElementById(id)?.value ?? '']);
+    const privacyConsent = Boolean(form.elements.privacyConsent?.checked);
+    const termsConsent = Boolean(form.elements.termsConsent?.checked);
+    form.reset();
+    kept.forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value;
+    });
+    if (form.elements.privacyConsent) form.elements.privacyConsent.checked = privacyConsent;
+    if (form.elements.termsConsent) form.elements.termsConsent.checked = termsConsent;
+    if (groupModeEl) groupModeEl.checked = true;
+    if (dateOfBirthPickerEl) dateOfBirthPickerEl.value = '';
+    if (dateOfBirthEl) dateOfBirthEl.value = '';
+    syncExamFields();
+    syncAttendanceDayField();
+    renderPriceSummary();
+  }
+
+  function renderGroupParticipants() {
+    if (!groupParticipantListEl) return;
+    groupParticipantListEl.textContent = '';
+    groupParticipants.forEach((item, index) => {
+      const itemEl = document.createElement('li');
+      const labelEl = document.createElement('span');
+      labelEl.textContent = `${index + 1}. ${item.participant.fullName} (${getOption('campType', item.participant.campType, 'full_seminar').label}) `;
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn secondary btn-small';
+      removeBtn.type = 'button';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => {
+        groupParticipants.splice(index, 1);
+        renderGroupParticipants();
+      });
+      labelEl.append(removeBtn);
+      const amountEl = document.createElement('strong');
+      amountEl.textContent = formatCurrency(item.totalAmount, 'EUR');
+      itemEl.append(labelEl, amountEl);
+      groupParticipantListEl.append(itemEl);
+    });
+    if (groupTotalEl) {
+      const total = groupParticipants.reduce((sum, item) => sum + Number(item.totalAmount || 0), 0);
+      groupTotalEl.textContent = formatCurrency(total, 'EUR');
+    }
+  }
+
+  function addParticipantToGroup() {
     messageEl.className = '';
     messageEl.textContent = '';
-
     const payload = formDataToPayload();
-    const examErrors = validateExamProgression(payload);
-    if (examErrors.length > 0) {
-      showMessage('error', examErrors.join(' '));
+    const errors = validateExamProgression(payload);
+    if (!String(payload.fullName || '').trim()) errors.unshift('Participant full name is required.');
+    if (!String(payload.email || '').trim()) errors.unshift('Participant email is required.');
+    if (isMinorOnSeminarStart(payload.dateOfBirth)) {
+      errors.push('Participants under 18 need parental consent, so they must be registered individually.');
+    }
+    if (errors.length > 0) {
+      showMessage('error', errors.join(' '));
+      return false;
+    }
+
+    groupParticipants.push({
+      participant: toGroupParticipant(payload),
+      totalAmount: getPricingSelection().totalAmount
+    });
+    renderGroupParticipants();
+    resetParticipantFields();
+    showMessage('ok', `${payload.fullName} added to the group. Fill in the next participant or submit the group registration.`);
+    return true;
+  }
+
+  function syncGroupMode() {
+    const groupMode = isGroupMode();
+    if (groupSectionEl) groupSectionEl.hidden = !groupMode;
+    if (groupAddParticipantBtn) groupAddParticipantBtn.hidden = !groupMode;
+    if (paymentMethodSectionEl) paymentMethodSectionEl.hidden = !bankTransferAvailable || groupMode;
+    if (promoCodeEl) promoCodeEl.disabled = groupMode;
+    if (promoCodeApplyBtn) promoCodeApplyBtn.disabled = groupMode;
+    syncGuardianSection();
+    if (groupMode) {
+      paymentMethodEls.forEach((input) => {
+        input.checked = input.value === 'card';
+      });
+      if (appliedPromoCode) {
+        appliedPromoCode = null;
+        if (promoCodeEl) promoCodeEl.value = '';
+        showPromoCodeMessage('', '');
+      }
+    }
+    syncSubmitButtonLabel();
+    renderPriceSummary();
+  }
+
+  async function submitGroupForm() {
+    if (hasParticipantInput() && !addParticipantToGroup()) {
       return;
     }
 
+    const raw = new FormData(form);
+    const payload = {
+      leaderFullName: groupLeaderFullNameEl?.value || '',
+      leaderEmail: groupLeaderEmailEl?.value || '',
+      leaderPhone: groupLeaderPhoneEl?.value || '',
+      dojoName: groupDojoNameEl?.value || '',
+      billingFullName: raw.get('billingFullName'),
+      billingZip: raw.get('billingZip'),
+      billingCity: raw.get('billingCity'),
+      billingAddress: raw.get('billingAddress'),
+      billingCountry: raw.get('billingCountry'),
+      billingCompanyName: raw.get('billingCompanyName'),
+      billingVatId: raw.get('billingVatId'),
+      privacyConsent: Boolean(raw.get('privacyConsent')),
+      termsConsent: Boolean(raw.get('termsConsent')),
+      participants: groupParticipants.map((item) => item.participant)
+    };
+
     submitBtn.disabled = true;
     submitBtn.textContent = 'Redirecting to payment...';
 
     try {
-      const response = await fetch('/api/register', {
+      const response = await fetch('/api/register-group', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -499,6 +840,80 @@
         return;
       }
 
+      const checkoutUrl = String(result.payment?.checkoutUrl || '').trim();
+      if (checkoutUrl) {
+        window.location.href = checkoutUrl;
+        return;
+      }
+
+      const amountText = formatCurrency(result.pricing?.totalAmount, result.pricing?.currency || 'EUR');
+      const paymentNotRequired = result.payment?.status === 'NOT_REQUIRED';
+      groupParticipants = [];
+      renderGroupParticipants();
+      resetParticipantFields();
+      if (paymentNotRequired) {
+        showMessage('ok', `Group registration saved (${result.groupId}). No payment is required, confirmation emails are on their way.`);
+        return;
+      }
+      showMessage('error', `Group registration saved (${result.groupId}), but payment link creation failed. Amount: ${amountText}. Please contact the organizer.`);
+    } catch (error) {
+      showMessage('error', `Failed to submit the form: ${error.message}`);
+    } finally {
+      submitBtn.disabled = false;
+      syncSubmitButtonLabel();
+    }
+  }
+
+  function postRegistration(payload) {
+    return fetch('/api/register', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+  }
+
+  async function submitForm(event) {
+    event.preventDefault();
+    messageEl.className = '';
+    messageEl.textContent = '';
+
+    if (isGroupMode()) {
+      await submitGroupForm();
+      return;
+    }
+
+    const payload = formDataToPayload();
+    const examErrors = validateExamProgression(payload);
+    if (examErrors.length > 0) {
+      showMessage('error', examErrors.join(' '));
+      return;
+    }
+
+    submitBtn.disabled = true;
+    submitBtn.textContent = payload.paymentMethod === 'bank_transfer' ? 'Submitting registration...' : 'Redirecting to payment...';
+
+    try {
+      let response = await postRegistration(payload);
+      let result = await response.json();
+
+      if (response.status === 409 && result.duplicateWarning) {
+        const shouldProceed = window.confirm(`${result.error} Do you still want to submit this registration?`);
+        if (!shouldProceed) {
+          showMessage('error', result.error);
+          return;
+        }
+        response = await postRegistration({ ...payload, acknowledgeDuplicate: true });
+        result = await response.json();
+      }
+
+      if (!response.ok) {
+        const errorText = Array.isArray(result.errors) ? result.errors.join(' ') : result.error || 'An error occurred.';
+        showMessage('error', errorText);
+        return;
+      }
+
       const amount = Number(result.pricing?.total ?? result.pricing?.totalAmount ?? result.pricing?.totalHuf ?? 0);
       const currency = String(result.pricing?.currency || 'EUR').toUpperCase();
       const amountText = formatCurrency(amount, currency);
@@ -508,18 +923,44 @@
         return;
       }
 
+      const paymentNotRequired = result.payment?.status === 'NOT_REQUIRED';
+      const awaitingTransfer = result.payment?.status === 'AWAITING_TRANSFER';
+      const waitlisted = result.payment?.status === 'WAITLISTED';
+      const awaitingGuardianConsent = result.payment?.status === 'AWAITING_GUARDIAN_CONSENT';
+      const guardianEmail = String(result.guardianConsent?.guardianEmail || '').trim();
+      appliedPromoCode = null;
+      showPromoCodeMessage('', '');
       form.reset();
       if (dateOfBirthPickerEl) dateOfBirthPickerEl.value = '';
       if (dateOfBirthEl) dateOfBirthEl.value = '';
+      syncGuardianSection();
       syncExamFields();
       syncAttendanceDayField();
       renderPriceSummary();
+      if (awaitingTransfer) {
+        showBankTransferInstructions(result);
+        return;
+      }
+      if (awaitingGuardianConsent) {
+        showMessage('ok', `Registration saved (${result.registrationId}). We have emailed a consent link to ${guardianEmail}. Once the parent or guardian confirms, we will send you the payment details. No payment has been taken yet.`);
+        return;
+      }
+      if (waitlisted) {
+        const offerHours = Number(result.waitlist?.offerTtlHours || 0);
+        const consentText = guardianEmail ? ` We have also emailed a consent link to ${guardianEmail}; you can only be offered a spot once the parent or guardian confirms.` : '';
+        showMessage('ok', `The selected option is fully booked, so your registration (${result.registrationId}) has been added to the waiting list. No payment has been taken. When a spot frees up, we will email you a payment link that is valid for ${offerHours} hours.${consentText}`);
+        return;
+      }
+      if (paymentNotRequired) {
+        showMessage('ok', `Registration saved (${result.registrationId}). No payment is required, a confirmation email is on its way.`);
+        return;
+      }
       showMessage('error', `Registration saved (${result.registrationId}), but payment link creation failed. Amount: ${amountText}. Please contact the organizer.`);
     } catch (error) {
       showMessage('error', `Failed to submit the form: ${error.message}`);
     } finally {
       submitBtn.disabled = false;
-      submitBtn.textContent = 'Submit Registration and Start Payment';
+      syncSubmitButtonLabel();
     }
   }
 
@@ -542,6 +983,10 @@
   }
   campTypeEl.addEventListener('change', () => {
     syncAttendanceDayField();
+    if (appliedPromoCode) {
+      applyPromoCode();
+      return;
+    }
     renderPriceSummary();
   });
   cateringDayEls.forEach((input) => {
@@ -553,6 +998,31 @@
   if (sayonaraSpiritsPackageCountEl) {
     sayonaraSpiritsPackageCountEl.addEventListener('input', renderPriceSummary);
   }
+  if (promoCodeApplyBtn) {
+    promoCodeApplyBtn.addEventListener('click', () => applyPromoCode());
+  }
+  if (promoCodeEl) {
+    promoCodeEl.addEventListener('keydown', (event) => {
+      if (event.key !== 'Enter') return;
+      event.preventDefault();
+      applyPromoCode();
+    });
+    promoCodeEl.addEventListener('input', () => {
+      if (!appliedPromoCode) return;
+      appliedPromoCode = null;
+      showPromoCodeMessage('', '');
+      renderPriceSummary();
+    });
+  }
+  paymentMethodEls.forEach((input) => {
+    input.addEventListener('change', syncSubmitButtonLabel);
+  });
+  if (groupModeEl) {
+    groupModeEl.addEventListener('change', syncGroupMode);
+  }
+  if (groupAddParticipantBtn) {
+    groupAddParticipantBtn.addEventListener('click', () => addParticipantToGroup());
+  }
   form.addEventListener('submit', submitForm);
 
   if (dateOfBirthEl && dateOfBirthPickerEl && dateOfBirthEl.value) {
@@ -0,0 +1,103 @@
+(function () {
+  const contentEl = document.getElementById('certificate-verify-content');
+  if (!contentEl) return;
+
+  const pathMatch = window.location.pathname.match(/^\/verify\/([^/]+)$/);
+  let certificateNumber = '';
+  try {
+    certificateNumber = pathMatch ? decodeURIComponent(pathMatch[1]).trim() : '';
+  } catch {
+    certificateNumber = '';
+  }
+
+  function escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatDate(value) {
+    const date = new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime())
+      ? String(value || '-')
+      : date.toLocaleDateString('en-GB', { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  function detailItem(label, value) {
+    return `<div class="registration-detail-item"><div class="registration-detail-label">${escapeHtml(label)}</div><div class="registration-detail-value">${escapeHtml(value || '-')}</div></div>`;
+  }
+
+  function renderLookupForm(message) {
+    contentEl.innerHTML = `
+      <p class="helper">Enter the certificate number printed on the bottom left of the certificate of participation (for example ISS2026-ABCD-EFGH).</p>
+      ${message ? `<div class="notice error">${escapeHtml(message)}</div>` : ''}
+      <form id="certificate-verify-form" novalidate>
+        <div class="form-grid">
+          <div class="field full">
+            <label for="certificate-verify-number">Certificate number</label>
+            <input id="certificate-verify-number" name="certificateNumber" type="text" maxlength="40" autocomplete="off" value="${escapeHtml(certificateNumber)}" required />
+          </div>
+        </div>
+        <div class="cta-row">
+          <button class="btn primary" type="submit">Verify certificate</button>
+        </div>
+      </form>
+    `;
+    document.getElementById('certificate-verify-form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      const value = String(event.currentTarget.elements.certificateNumber.value || '').trim().toUpperCase();
+      if (value) {
+        window.location.assign(`/verify/${encodeURIComponent(value)}`);
+      }
+    });
+  }
+
+  function renderCertificate(certificate) {
+    const event = certificate.event || {};
+    const revoked = certificate.status !== 'VALID';
+    contentEl.innerHTML = `
+      ${revoked
+        ? `<div class="notice error"><strong>This certificate has been revoked.</strong> ${escapeHtml(certificate.revokedReason)} It is no longer a valid proof of participation.</div>`
+        : '<div class="notice ok"><strong>This certificate is valid.</strong> It was issued by the organizers of the seminar.</div>'}
+      <div class="registration-details-grid">
+        ${detailItem('Certificate number', certificate.certificateNumber)}
+        ${detailItem('Holder', certificate.holderName)}
+        ${detailItem('Event', event.name)}
+        ${detailItem('Venue', event.location)}
+        ${detailItem('Event dates', `${formatDate(event.startDate)} - ${formatDate(event.endDate)}`)}
+        ${detailItem('Package', certificate.packageLabel)}
+        ${detailItem('Issued', formatDate(certificate.issuedAt))}
+      </div>
+      ${revoked ? '' : `<h3>Days attended</h3>
+      <ul>${certificate.daysAttended.map((label) => `<li>${escapeHtml(label)}</li>`).join('')}</ul>`}
+      <p class="helper"><a href="/verify">Verify another certificate</a></p>
+    `;
+  }
+
+  async function init() {
+    if (!certificateNumber) {
+      renderLookupForm('');
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/verify/${encodeURIComponent(certificateNumber)}`);
+      const result = await response.json().catch(() => ({}));
+      if (response.status === 404) {
+        renderLookupForm(result.error || 'No certificate was issued with this number.');
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(result.error || 'Could not verify the certificate.');
+      }
+      renderCertificate(result.certificate);
+    } catch (error) {
+      contentEl.innerHTML = `<div class="notice error">${escapeHtml(error.message)} Please try again later or contact the organizers at <a href="mailto:info@summerseminar2026.hu">info@summerseminar2026.hu</a>.</div>`;
+    }
+  }
+
+  init();
+})();